@@ -0,0 +1,198 @@
+// Operator commands
+//   node admin.js withdrawals                        list withdrawals held for approval
+//   node admin.js approve-withdrawal <id>            release a held withdrawal to the withdrawal worker
+//   node admin.js reject-withdrawal <id> [reason]    refuse a held withdrawal and refund the user
+//   node admin.js check-balances                     compare user balances with the ledger
+//   node admin.js rebuild-balances                   set user balances from the ledger
+//   node admin.js open-ledger                        record existing balances that have no ledger entries
+//   node admin.js reconciliations [count]            show the latest wallet reconciliation snapshots
+//   node admin.js pause-withdrawals [reason]         stop the withdrawal worker from broadcasting
+//   node admin.js resume-withdrawals                 let the withdrawal worker broadcast again
+//   node admin.js pause-tipping [reason]             refuse tips and gilds
+//   node admin.js resume-tipping                     accept tips and gilds again
+const db = require('./lib/db');
+const ledger = require('./lib/ledger');
+const platforms = require('./lib/platforms');
+const settings = require('./lib/settings');
+const withdrawals = require('./lib/withdrawals');
+const WithdrawalStatus = withdrawals.WithdrawalStatus;
+
+const operator = process.env.USER || 'operator';
+
+const listHeldWithdrawals = (args, callback) => {
+    db.query(['SELECT W.Id, U.Platform, U.Username, W.Amount, W.Address, W.Created FROM Withdrawals W JOIN Users U ON U.Id = W.UserId ',
+              'WHERE W.Status = ? ORDER BY W.Id'].join(''), [WithdrawalStatus.Held], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (res.length === 0) {
+            console.log('No withdrawals are held for approval.');
+        }
+        res.forEach((withdrawal) => {
+            console.log(`${withdrawal.Id}\t${platforms.get(withdrawal.Platform).mention(withdrawal.Username)}\t${withdrawal.Amount} LBC\t${withdrawal.Address}\t${withdrawal.Created.toISOString()}`);
+        });
+
+        return callback(null, true);
+    });
+};
+
+const approveWithdrawal = (args, callback) => {
+    withdrawals.approveWithdrawal(db, parseInt(args[0], 10), operator, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log(`Withdrawal ${args[0]} approved.`);
+        return callback(null, true);
+    });
+};
+
+const rejectWithdrawal = (args, callback) => {
+    db.transaction((conn, tcb) => {
+        withdrawals.rejectWithdrawal(conn, parseInt(args[0], 10), operator, args.slice(1).join(' ') || 'no reason given', tcb);
+    }, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log(`Withdrawal ${args[0]} rejected and refunded.`);
+        return callback(null, true);
+    });
+};
+
+const checkBalances = (args, callback) => {
+    ledger.verify(db, (err, result) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (result.users.length === 0 && result.transfers.length === 0) {
+            console.log('All balances match the ledger.');
+        }
+        result.users.forEach((user) => {
+            console.log(`${platforms.get(user.Platform).mention(user.Username)}\tbalance ${user.Balance} LBC\tledger ${user.LedgerBalance} LBC`);
+        });
+        if (result.transfers.length > 0) {
+            console.log(`Unbalanced ledger transfers: ${result.transfers.join(', ')}`);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const rebuildBalances = (args, callback) => {
+    db.transaction((conn, tcb) => {
+        ledger.rebuildBalances(conn, operator, tcb);
+    }, (err, changed) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log(`${changed} balances updated from the ledger.`);
+        return callback(null, true);
+    });
+};
+
+const openLedger = (args, callback) => {
+    db.transaction((conn, tcb) => {
+        ledger.openBalances(conn, tcb);
+    }, (err, opened) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log(`Opening balances recorded for ${opened} users.`);
+        return callback(null, true);
+    });
+};
+
+const listReconciliations = (args, callback) => {
+    db.query('SELECT WalletBalance, UncreditedDeposits, UserBalances, PendingWithdrawals, Discrepancy, WithdrawalsPaused, Created FROM ReconciliationSnapshots ORDER BY Id DESC LIMIT ?',
+             [parseInt(args[0], 10) || 10], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        res.forEach((snapshot) => {
+            console.log([snapshot.Created.toISOString(), `wallet ${snapshot.WalletBalance}`, `uncredited ${snapshot.UncreditedDeposits}`,
+                         `balances ${snapshot.UserBalances}`, `pending ${snapshot.PendingWithdrawals}`, `discrepancy ${snapshot.Discrepancy}`, snapshot.WithdrawalsPaused ? 'paused' : ''].join('\t'));
+        });
+
+        return callback(null, true);
+    });
+};
+
+const pauseWithdrawals = (args, callback) => {
+    settings.set(db, settings.Setting.WithdrawalsPaused, `Paused by ${operator}: ${args.join(' ') || 'no reason given'}`, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log('Withdrawals paused.');
+        return callback(null, true);
+    });
+};
+
+const resumeWithdrawals = (args, callback) => {
+    settings.remove(db, settings.Setting.WithdrawalsPaused, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log('Withdrawals resumed.');
+        return callback(null, true);
+    });
+};
+
+const pauseTipping = (args, callback) => {
+    settings.set(db, settings.Setting.TippingPaused, `Paused by ${operator}: ${args.join(' ') || 'no reason given'}`, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log('Tipping paused.');
+        return callback(null, true);
+    });
+};
+
+const resumeTipping = (args, callback) => {
+    settings.remove(db, settings.Setting.TippingPaused, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        console.log('Tipping resumed.');
+        return callback(null, true);
+    });
+};
+
+const commands = {
+    'withdrawals': { run: listHeldWithdrawals, args: 0 },
+    'approve-withdrawal': { run: approveWithdrawal, args: 1 },
+    'reject-withdrawal': { run: rejectWithdrawal, args: 1 },
+    'check-balances': { run: checkBalances, args: 0 },
+    'rebuild-balances': { run: rebuildBalances, args: 0 },
+    'open-ledger': { run: openLedger, args: 0 },
+    'reconciliations': { run: listReconciliations, args: 0 },
+    'pause-withdrawals': { run: pauseWithdrawals, args: 0 },
+    'resume-withdrawals': { run: resumeWithdrawals, args: 0 },
+    'pause-tipping': { run: pauseTipping, args: 0 },
+    'resume-tipping': { run: resumeTipping, args: 0 }
+};
+
+const args = process.argv.slice(2);
+const command = commands[args[0]];
+if (!command || args.length - 1 < command.args) {
+    console.log(`Usage: node admin.js <${Object.keys(commands).join('|')}> [arguments]`);
+    process.exit(1);
+}
+
+command.run(args.slice(1), (err) => {
+    if (err) {
+        console.log(err.message);
+        process.exitCode = 1;
+    }
+
+    db.end();
+});
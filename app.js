@@ -1,133 +1,54 @@
+const activity = require('./lib/activity');
+const adminCommands = require('./lib/admincommands');
 const async = require('async');
 const base58 = require('bs58check');
 const config = require('./config/config');
-const fs = require('fs');
 const moment = require('moment');
-const mysql = require('mysql');
 const request = require('request');
-const util = require('util');
+const db = require('./lib/db');
+const DepositStatus = require('./lib/deposits').DepositStatus;
+const GildStatus = require('./lib/gilds').GildStatus;
+const httpApi = require('./lib/httpapi');
+const lbrycrd = require('./lib/lbrycrd');
+const ledger = require('./lib/ledger');
+const logger = require('./lib/logger');
+const messageQueue = require('./lib/messagequeue');
+const metrics = require('./lib/metrics');
+const Outcome = metrics.Outcome;
+const platforms = require('./lib/platforms');
+const EventKind = platforms.EventKind;
+const rates = require('./lib/rates');
+const settings = require('./lib/settings');
+const subreddits = require('./lib/subreddits');
+const templates = require('./lib/templates');
+const withdrawals = require('./lib/withdrawals');
+const WithdrawalStatus = withdrawals.WithdrawalStatus;
 if (config.debug) {
     require('request-debug')(request);
 }
 
 // URLS
-const baseUrl = 'https://oauth.reddit.com';
-const rateUrl = 'https://api.lbry.io/lbc/exchange_rate';
-const tokenUrlFormat = 'https://%s:%s@www.reddit.com/api/v1/access_token';
 const tipRegex = /(\$[\d\.]+|[\d\.]+( usd| lbc))/ig;
-const gildRegex = new RegExp('gild (u|\/u)\/lbryian|(u|\/u)\/lbryian gild', 'ig');
+const tipKeywordRegex = /\b(tip|split)\b/i;
+const splitRegex = /\bsplit\b/i;
+const explorerTxUrl = 'https://explorer.lbry.io/tx/';
 
-// Other globals
-const commentKind = 't1';
-const privateMessageKind = 't4';
-let globalAccessToken;
-let accessTokenTime;
-
-// Load message templates
-const messageTemplates = {};
-const templateNames = [
-    'onbalance',
-    'ondeposit',
-    'ondeposit.completed',
-    'ongild',
-    'ongild.insufficientfunds',
-    'onsendtip',
-    'onsendtip.insufficientfunds',
-    'onsendtip.invalidamount',
-    'onwithdraw',
-    'onwithdraw.amountltefee',
-    'onwithdraw.insufficientfunds',
-    'onwithdraw.invalidaddress',
-    'onwithdraw.invalidamount'
-];
-for (let i = 0; i < templateNames.length; i++) {
-    const name = templateNames[i];
-    messageTemplates[name] = fs.readFileSync(`templates/${name}.txt`, { encoding: 'utf8' }); 
-}
-
-// Connect to the database
-let db;
-const initSqlConnection = () => {
-    const _db = mysql.createConnection({
-        host: config.mariadb.host,
-        user: config.mariadb.username,
-        password: config.mariadb.password,
-        database: config.mariadb.database,
-        charset: 'utf8mb4',
-        timezone: 'Z'
-    });
-    
-    _db.on('error', (err) => {
-        if (err.code === 2006 || ['PROTOCOL_CONNECTION_LOST', 'PROTOCOL_PACKETS_OUT_OF_ORDER', 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR'].indexOf(err.code) > -1) {
-            _db.destroy();
-            db = initSqlConnection();
-        }
-    });
-    
-    return _db;
-};
-db = initSqlConnection();
-
-const loadAccessToken = (callback) => {
-    if (fs.existsSync(config.accessTokenPath)) {
-        const token = fs.readFileSync(config.accessTokenPath, { encoding: 'utf8' });
-        return callback(null, String(token));
-    }
-    
-    return callback(null, null);
-};
-
-const oauth = (callback) => {
-    const url = util.format(tokenUrlFormat, config.clientId, config.clientSecret);
-    request.post(url, { form: { grant_type: 'password', username: config.username, password: config.password} }, (err, res, body) => {
-        if (err) {
-            return callback(err, null);
-        }
-
-        let accessToken = null;
-        try {
-            const response = JSON.parse(body);
-            accessToken = response.access_token;
-            accessTokenTime = moment();
-            if (accessToken && accessToken.trim().length > 0) {
-                fs.writeFileSync(config.accessTokenPath, accessToken);
-            }
-        } catch (e) {
-            return callback(e, null);
-        }
-        
-        return callback(null, accessToken);
-    });
-};
+// Mentions are written differently on each platform
+const gildRegex = (adapter) => new RegExp(`gild ${adapter.botMentionPattern}|${adapter.botMentionPattern} gild`, 'i');
+const mentionRegex = (adapter) => new RegExp(`(?:^|[^\\w\\/])${adapter.mentionPattern}`, 'ig');
+const sendRegex = (adapter) => new RegExp(`^send\\s+(.+?)\\s+${adapter.mentionPattern}$`, 'i');
 
-const retrieveUnreadMessages = (accessToken, callback) => {
-    const url = util.format('%s/message/unread?limit=100', baseUrl);
-    request.get({ url: url, headers: { 'User-Agent': 'lbryian/1.0.0 Node.js (by /u/lbryian)', 'Authorization': 'Bearer ' + accessToken } }, (err, res, body) => {
-         if (err) {
-            return callback(err);
-         }
-         
-         let response;
-         try {
-            response = JSON.parse(body);
-         } catch (e) {
-            return callback(e, null);
-         }
-         
-         if (response.error) {
-            return callback(new Error(response.message));
-         }
-
-         console.log(`Got ${response.data.children.length} unread messages.`);
-         
-         return callback(null, response.data.children);
-    });
-};
+// Other globals
+const maxMessageLength = 10000;
+const defaultHistoryCount = 10;
+const maxHistoryCount = 50;
+// the smallest amount of LBC there is
+const minLbcAmount = 0.00000001;
 
-const createOrGetUserId = (username, callback) => {
+const createOrGetUserId = (conn, platform, username, callback) => {
     async.waterfall([
         (cb) => {
-            db.query('SELECT Id FROM Users WHERE LOWER(Username) = ?', [username.toLowerCase()], cb);
+            conn.query('SELECT Id FROM Users WHERE Platform = ? AND LOWER(Username) = ?', [platform, username.toLowerCase()], cb);
         },
         (res, fields, cb) => {
             if (res.length === 0) {
@@ -139,7 +60,7 @@ const createOrGetUserId = (username, callback) => {
         },
         (userId, cb) => {
             if (userId === 0) {
-                return db.query('INSERT INTO Users (Username, Created) VALUES (?, UTC_TIMESTAMP())', [username], (err, res) => {
+                return conn.query('INSERT INTO Users (Platform, Username, Created) VALUES (?, ?, UTC_TIMESTAMP())', [platform, username], (err, res) => {
                     if (err) {
                         return cb(err, null);
                     }
@@ -153,71 +74,168 @@ const createOrGetUserId = (username, callback) => {
     ], callback);
 };
 
-const processCompletedDeposits = (callback) => {
-    const delay = 2000;
+// Remind recipients about tips they have not claimed, once, after config.unclaimedTips.remindAfter days
+const remindUnclaimedTips = (callback) => {
     async.waterfall([
         (cb) => {
-            db.query('SELECT C.DepositId, D.Amount, U.Username, U.Balance FROM CompletedDepositConfirmations C JOIN Deposits D ON D.Id = C.DepositId JOIN Users U ON U.Id = C.UserId', cb);
+            db.query(['SELECT T.Id, T.Amount, T.Created, R.Platform, S.Username AS Sender, R.Username AS Recipient FROM Tips T ',
+                      'JOIN Users S ON S.Id = T.SenderId JOIN Users R ON R.Id = T.RecipientId ',
+                      'WHERE T.Unclaimed = 1 AND T.Reversed IS NULL AND T.ReminderSent IS NULL AND T.Created <= DATE_SUB(UTC_TIMESTAMP(), INTERVAL ? DAY)'].join(''),
+                     [config.unclaimedTips.remindAfter], cb);
         },
         (res, fields, cb) => {
-            if (res.length > 0) {
-                return async.eachSeries(res, (completedDeposit, ecb) => {
-                    sendPMUsingTemplate('ondeposit.completed', { how_to_use_url: config.howToUseUrl, amount: completedDeposit.Amount, balance: completedDeposit.Balance },
-                                        'Deposit completed!', completedDeposit.Username, (err) => {
-                        if (err) {
-                            return setTimeout(ecb, delay, err);
+            async.eachSeries(res, (tip, ecb) => {
+                db.transaction((conn, tcb) => {
+                    async.waterfall([
+                        (wcb) => {
+                            queuePMUsingTemplate(conn, 'onsendtip.unclaimed', {
+                                how_to_use_url: config.howToUseUrl,
+                                sender: platforms.get(tip.Platform).mention(tip.Sender),
+                                amount: tip.Amount,
+                                days: moment.utc().diff(moment.utc(tip.Created), 'days'),
+                                expires: moment.utc(tip.Created).add(config.unclaimedTips.expireAfter, 'days').format('YYYY-MM-DD')
+                            }, 'You have an unclaimed tip', tip.Platform, tip.Recipient, wcb);
+                        },
+                        (queuedMessageId, wcb) => {
+                            conn.query('UPDATE Tips SET ReminderSent = UTC_TIMESTAMP() WHERE Id = ?', [tip.Id], wcb);
                         }
-                        
-                        // remove the entry from the DB
-                        return db.query('DELETE FROM CompletedDepositConfirmations WHERE DepositId = ?', [completedDeposit.DepositId], (ierr) => {
-                            if (ierr) {
-                                return setTimeout(ecb, delay, ierr);
-                            }
-                            
-                            // success
-                            return setTimeout(ecb, delay, null, true);
-                        });
-                    });
-                    // TODO: Implement inserting messages into a pending message queue instead
-                }, (err) => {
-                    if (err) {
-                        return cb(err, null);
+                    ], tcb);
+                }, ecb);
+            }, cb);
+        }
+    ], (err) => {
+        callback(err);
+    });
+};
+
+// Return a tip that was not claimed in time to its sender. The reversal is recorded as a tip in the other direction.
+const returnUnclaimedTip = (tip, callback) => {
+    const log = logger.child({ correlationId: logger.newCorrelationId(), tipId: tip.Id });
+    db.transaction((conn, tcb) => {
+        const data = {};
+        async.waterfall([
+            (cb) => {
+                // the recipient may have claimed the tip since it was selected
+                conn.query('UPDATE Tips SET Reversed = UTC_TIMESTAMP() WHERE Id = ? AND Unclaimed = 1 AND Reversed IS NULL', [tip.Id], cb);
+            },
+            (res, fields, cb) => {
+                if (res.affectedRows === 0) {
+                    return cb(null, null, null);
+                }
+
+                data.returned = true;
+                return conn.query(['INSERT INTO Tips (SenderId, RecipientId, Amount, ParsedAmount, IsGild, ReversalOfTipId, Reason, Created) ',
+                                   'VALUES (?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
+                                  [tip.RecipientId, tip.SenderId, tip.Amount, tip.ParsedAmount, tip.IsGild, tip.Id, 'Unclaimed tip expired'], cb);
+            },
+            (res, fields, cb) => {
+                if (!data.returned) {
+                    return cb(null, null);
+                }
+
+                return ledger.transfer(conn, tip.RecipientId, tip.SenderId, tip.Amount, { type: ledger.SourceType.Tip, id: res.insertId, actor: 'bot',
+                                                                                        reason: 'Unclaimed tip expired', correlationId: log.fields.correlationId }, cb);
+            },
+            (transferId, cb) => {
+                if (!data.returned) {
+                    return cb(null);
+                }
+
+                return async.waterfall([
+                    (wcb) => {
+                        getBalance(conn, tip.SenderId, wcb);
+                    },
+                    (balance, wcb) => {
+                        queuePMUsingTemplate(conn, 'onsendtip.returned', {
+                            how_to_use_url: config.howToUseUrl,
+                            recipient: platforms.get(tip.Platform).mention(tip.Recipient),
+                            amount: tip.Amount,
+                            days: config.unclaimedTips.expireAfter,
+                            balance: balance
+                        }, 'Unclaimed tip returned', tip.Platform, tip.Sender, wcb);
+                    },
+                    (queuedMessageId, wcb) => {
+                        queuePMUsingTemplate(conn, 'onsendtip.expired', {
+                            how_to_use_url: config.howToUseUrl,
+                            sender: platforms.get(tip.Platform).mention(tip.Sender),
+                            amount: tip.Amount,
+                            days: config.unclaimedTips.expireAfter
+                        }, 'Unclaimed tip expired', tip.Platform, tip.Recipient, wcb);
                     }
-                    
-                    return cb(null, true);
+                ], (err) => {
+                    cb(err);
                 });
             }
-            
-            return cb(null, true);
+        ], (err) => {
+            tcb(err, data.returned === true);
+        });
+    }, (err, returned) => {
+        if (returned) {
+            log.info('Unclaimed tip returned', { amount: tip.Amount, sender: tip.Sender, recipient: tip.Recipient, platform: tip.Platform });
         }
-    ], callback);
+        callback(err, returned);
+    });
+};
+
+// Tips to users who have never used the bot are returned to the sender after config.unclaimedTips.expireAfter days
+const processUnclaimedTips = (callback) => {
+    async.waterfall([
+        (cb) => {
+            remindUnclaimedTips(cb);
+        },
+        (cb) => {
+            db.query(['SELECT T.Id, T.SenderId, T.RecipientId, T.Amount, T.ParsedAmount, T.IsGild, R.Platform, S.Username AS Sender, R.Username AS Recipient FROM Tips T ',
+                      'JOIN Users S ON S.Id = T.SenderId JOIN Users R ON R.Id = T.RecipientId ',
+                      'WHERE T.Unclaimed = 1 AND T.Reversed IS NULL AND T.Created <= DATE_SUB(UTC_TIMESTAMP(), INTERVAL ? DAY) ORDER BY T.Id'].join(''),
+                     [config.unclaimedTips.expireAfter], cb);
+        },
+        (res, fields, cb) => {
+            async.eachSeries(res, (tip, ecb) => {
+                returnUnclaimedTip(tip, (err) => {
+                    if (err) {
+                        // leave the tip for the next run, the others can still be returned
+                        logger.error('Could not return an unclaimed tip', { tipId: tip.Id, err });
+                    }
+                    ecb();
+                });
+            }, cb);
+        }
+    ], (err) => {
+        callback(err, true);
+    });
 };
 
-const getBalance = (userId, callback) => {
-    db.query('SELECT Balance FROM Users WHERE Id = ?', [userId], (err, res) => {
+const getBalance = (conn, userId, callback) => {
+    conn.query('SELECT Balance FROM Users WHERE Id = ?', [userId], (err, res) => {
         if (err) {
             return callback(err, null);
         }
         
-        return callback(0, res.length === 0 ? 0 : res[0].Balance);
+        // DECIMAL columns come back as strings
+        return callback(0, res.length === 0 ? 0 : parseFloat(res[0].Balance));
     });
 };
 
-const generateDepositAddress = (callback) => {
-    request.post({ url: config.lbrycrd.rpcurl, json: { method: 'getnewaddress', params: [config.lbrycrd.account] } }, (err, resp, body) => {
-        if (err || body.error) {
-            return callback(err || body.error, null);
+// Lock the user's row until the transaction ends and get the balance, so nothing else can spend it in the meantime
+const lockBalance = (conn, userId, callback) => {
+    conn.query('SELECT Balance FROM Users WHERE Id = ? FOR UPDATE', [userId], (err, res) => {
+        if (err) {
+            return callback(err, null);
         }
-        
-        return callback(null, body.result);
+
+        return callback(null, res.length === 0 ? 0 : parseFloat(res[0].Balance));
     });
 };
 
-const getDepositAddress = (userId, callback) => {
+const generateDepositAddress = (callback) => {
+    lbrycrd.rpc('getnewaddress', [config.lbrycrd.account], callback);
+};
+
+const getDepositAddress = (conn, userId, callback) => {
     let newAddress = false;
     async.waterfall([
         (cb) => {
-            db.query('SELECT DepositAddress FROM Users WHERE Id = ?', [userId], cb);
+            conn.query('SELECT DepositAddress FROM Users WHERE Id = ?', [userId], cb);
         },
         (res, fields, cb) => {
             const address = res.length > 0 ? res[0].DepositAddress : null;
@@ -229,7 +247,7 @@ const getDepositAddress = (userId, callback) => {
         },
         (address, cb) => {
             if (newAddress) {
-                return db.query('UPDATE Users SET DepositAddress = ? WHERE Id = ?', [address, userId], (err) => {
+                return conn.query('UPDATE Users SET DepositAddress = ? WHERE Id = ?', [address, userId], (err) => {
                     if (err) {
                         return cb(err, null);
                     }
@@ -243,444 +261,529 @@ const getDepositAddress = (userId, callback) => {
     ], callback);
 };
 
-const sendTip = (sender, recipient, amount, tipdata, callback) => {
-    console.log(`sending ${amount} LBC from ${sender} to ${recipient}`);
+// Send amount LBC to each of the recipients as one all-or-nothing transaction
+const sendTip = (sender, recipients, amount, tipdata, callback) => {
+    const totalAmount = multiplyLbc(amount, recipients.length);
+    const adapter = platforms.get(tipdata.message.platform);
+    const recipientNames = recipients.map(adapter.mention).join(', ');
+    const log = logger.forMessage(tipdata.message);
+    log.info('Sending tip', { sender, recipients, amount });
     
-    const data = {};
-    async.waterfall([
-        (cb) => {
-            // Start DB transaction
-            db.beginTransaction((err) => {
-                if (err) {
-                    return cb(err, null);
-                }
-                return cb(null, true);
-            });
-        },
-        (started, cb) => {
-            // start a transaction
-            // check the sender's balance
-            createOrGetUserId(sender, cb);
-        },
-        (senderId, cb) => {
-            data.senderId = senderId;
-            getBalance(senderId, cb);
-        },
-        (senderBalance, cb) => {
-            // balance is less than amount to tip, or the difference after sending the tip is negative
-            if (senderBalance < amount || (senderBalance - amount) < 0) {
-                return sendPMUsingTemplate('onsendtip.insufficientfunds',
-                                           {
-                                                how_to_use_url: config.howToUseUrl,
-                                                recipient: `u/${recipient}`,
-                                                amount: amount,
-                                                amount_usd: ['$', parseFloat(tipdata.amountUsd).toFixed(2)].join(''),
-                                                balance: senderBalance
-                                            }, 'Insufficient funds to send tip', tipdata.message.data.author, () => {
-                    markMessageRead(tipdata.message.data.name, () => {
-                        cb(new Error('Insufficient funds'), null);
+    // the message is recorded first, which fails if the tip was already processed
+    messageTransaction(tipdata.message, (conn, msg, tcb) => {
+        if (msg.frozen || msg.tippingPaused) {
+            return refuseSender(conn, tipdata.message, msg, tcb);
+        }
+
+        const data = { senderId: msg.authorId, messageId: msg.messageId };
+        return async.waterfall([
+            (cb) => {
+                // check the sender's balance
+                lockBalance(conn, data.senderId, cb);
+            },
+            (senderBalance, cb) => {
+                // balance is less than the total to tip, or the difference after sending the tips is negative
+                if (senderBalance < totalAmount || (senderBalance - totalAmount) < 0) {
+                    return queuePMUsingTemplate(conn, 'onsendtip.insufficientfunds',
+                                                {
+                                                    how_to_use_url: config.howToUseUrl,
+                                                    recipient: recipientNames,
+                                                    amount: totalAmount,
+                                                    amount_usd: ['$', (parseFloat(tipdata.amountUsd) * recipients.length).toFixed(2)].join(''),
+                                                    balance: senderBalance
+                                                }, 'Insufficient funds to send tip', tipdata.message.platform, tipdata.message.author, (err) => {
+                        cb(err, Outcome.InsufficientFunds);
                     });
-                });
-            }
-            
-            return db.query('UPDATE Users SET Balance = Balance - ? WHERE Id = ?', [amount, data.senderId], cb);
-        },
-        (res, fields, cb) => {
-            // Update the recipient's balance
-            createOrGetUserId(recipient, cb);
-        },
-        (recipientId, cb) => {
-            data.recipientId = recipientId;
-            db.query('UPDATE Users SET Balance = Balance + ? WHERE Id = ?', [amount, recipientId], cb);
-        },
-        (res, fields, cb) => {
-            // save the message
-            const msgdata = tipdata.message.data;
-            db.query(   ['INSERT INTO Messages (AuthorId, Type, FullId, RedditId, ParentRedditId, Subreddit, Body, Context, RedditCreated, Created) ',
-                         'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
-                        [data.senderId,
-                         tipdata.message.kind === privateMessageKind ? 1 : 2,
-                         msgdata.name,
-                         msgdata.id,
-                         msgdata.parent_id,
-                         msgdata.subreddit,
-                         msgdata.body,
-                         msgdata.context,
-                         moment.utc(msgdata.created_utc * 1000).format('YYYY-MM-DD HH:mm:ss')
-                        ], cb);
-        },
-        (res, fields, cb) => {
-            // save the tip information
-            db.query(   ['INSERT INTO Tips (MessageId, SenderId, RecipientId, Amount, AmountUsd, ParsedAmount, Created) ',
-                         'VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
-                        [res.insertId,
-                         data.senderId,
-                         data.recipientId,
-                         amount,
-                         tipdata.amountUsd,
-                         tipdata.parsedAmount,
-                        ], cb);
-        },
-        (res, fields, cb) => {
-            // reply to the source message with message template after successful commit
-            const amountUsdStr = parseFloat(tipdata.amountUsd).toFixed(2);
-            replyMessageUsingTemplate('onsendtip', { recipient: `u/${recipient}`, tip: `${amount} LBC ($${amountUsdStr})`, how_to_use_url: config.howToUseUrl},
-                                      tipdata.message.data.name, cb);
-        },
-        (success, cb) => {
-            // Mark the message as read
-            markMessageRead(tipdata.message.data.name, cb);
-        },
-        (success, cb) => {
-            // commit the transaction
-            db.commit((err) => {
-                if (err) {
-                    return cb(err, null);
                 }
                 
-                return cb(null, true);
-            });
-        }
-    ], (err) => {
-        if (err) {
-            return db.rollback(() => {
-                callback(err, null);
-            });
+                return transferTip(conn, amount, recipients, data, tipdata, (err) => {
+                    cb(err, Outcome.Success);
+                });
+            }
+        ], tcb);
+    }, (err, outcome) => {
+        if (outcome) {
+            log.info('Tip handled', { outcome });
         }
-        
-        // success
-        return callback(null, true);
+        countOutcome(metrics.tips, { kind: 'tip' }, outcome);
+        callback(err, outcome === Outcome.Success);
     });
 };
 
-const convertUsdToLbc = (amount, callback) => {
-    request.get({ url: rateUrl }, (err, res, body) => {
-        let response;
-        try {
-            response = JSON.parse(body);
-        } catch (e) {
-            return callback(e, null);
-        }
-        
-        if (!response.data || !response.data.lbc_usd) {
-            return callback(new Error('Could not retrieve the LBC/USD conversion rate.'));
-        }
-        
-        const rateUsd = parseFloat(response.data.lbc_usd);
-        if (isNaN(rateUsd) || rateUsd === 0) {
-            return callback(new Error('Invalid LBC/USD rate retrieved.'));
+const transferTip = (conn, amount, recipients, data, tipdata, callback) => {
+    async.waterfall([
+        (cb) => {
+            // save the tip information and move the amount to each recipient
+            async.eachSeries(recipients, (recipient, ecb) => {
+                async.waterfall([
+                    (wcb) => {
+                        createOrGetUserId(conn, tipdata.message.platform, recipient, wcb);
+                    },
+                    (recipientId, wcb) => {
+                        data.recipientId = recipientId;
+                        recordTip(conn, {
+                            messageId: data.messageId,
+                            senderId: data.senderId,
+                            recipientId: data.recipientId,
+                            amount: amount,
+                            amountUsd: tipdata.amountUsd,
+                            rateUsd: tipdata.rateUsd,
+                            parsedAmount: tipdata.parsedAmount
+                        }, wcb);
+                    },
+                    (res, fields, wcb) => {
+                        ledger.transfer(conn, data.senderId, data.recipientId, amount, {
+                            type: ledger.SourceType.Tip,
+                            id: res.insertId,
+                            actor: ledger.userActor(tipdata.message.platform, tipdata.sender),
+                            reason: `Tip from ${tipdata.sender} to ${recipient}`,
+                            correlationId: tipdata.message.correlationId
+                        }, wcb);
+                    }
+                ], ecb);
+            }, cb);
+        },
+        (cb) => {
+            // queue the reply to the source message, it is only sent if the transaction commits
+            const amountUsdStr = parseFloat(tipdata.amountUsd).toFixed(2);
+            const tip = [`${amount} LBC ($${amountUsdStr})`, recipients.length > 1 ? ' each' : ''].join('');
+            const adapter = platforms.get(tipdata.message.platform);
+            const recipientNames = recipients.map(adapter.mention).join(', ');
+            if (tipdata.direct) {
+                // a PM transfer, confirm to the sender and let the recipient know privately
+                return async.series([
+                    (scb) => {
+                        queueReplyUsingTemplate(conn, 'onsend', { recipient: recipientNames, tip, how_to_use_url: config.howToUseUrl }, tipdata.message, scb);
+                    },
+                    (scb) => {
+                        queuePMUsingTemplate(conn, 'onsend.received', { sender: adapter.mention(tipdata.sender), tip, how_to_use_url: config.howToUseUrl }, 'You received LBC!',
+                                             tipdata.message.platform, recipients[0], scb);
+                    }
+                ], cb);
+            }
+
+            if (subreddits.settingsFor(tipdata.message).replyByPM) {
+                // nobody sees a public reply, so let the recipients know privately
+                return async.series([
+                    (scb) => {
+                        queueReplyUsingTemplate(conn, 'onsendtip', { recipient: recipientNames, tip, how_to_use_url: config.howToUseUrl }, tipdata.message, scb);
+                    },
+                    (scb) => {
+                        async.eachSeries(recipients, (recipient, ecb) => {
+                            queuePMUsingTemplate(conn, 'onsend.received', { sender: adapter.mention(tipdata.sender), tip, how_to_use_url: config.howToUseUrl }, 'You received LBC!',
+                                                 tipdata.message.platform, recipient, ecb);
+                        }, scb);
+                    }
+                ], cb);
+            }
+
+            return queueReplyUsingTemplate(conn, 'onsendtip', { recipient: recipientNames, tip, how_to_use_url: config.howToUseUrl},
+                                           tipdata.message, cb);
         }
-        const amountLbc = (amount / rateUsd).toFixed(8);
-        return callback(null, amountLbc);
-    });
+    ], callback);
 };
 
-const convertLbcToUsd = (amount, callback) => {
-    request.get({ url: rateUrl }, (err, res, body) => {
-        let response;
-        try {
-            response = JSON.parse(body);
-        } catch (e) {
-            return callback(e, null);
-        }
-        
-        if (!response.data || !response.data.lbc_usd) {
-            return callback(new Error('Could not retrieve the LBC/USD conversion rate.'));
-        }
-        
-        const rateUsd = parseFloat(response.data.lbc_usd);
-        if (isNaN(rateUsd) || rateUsd === 0) {
-            return callback(new Error('Invalid LBC/USD rate retrieved.'));
-        }
-        const amountLbc = (amount * rateUsd).toFixed(2);
-        return callback(null, amountLbc);
-    });
+// PMs and replies are queued on the connection of the current transaction, so they are only sent if it commits
+const queuePMUsingTemplate = (conn, template, substitutions, subject, platform, recipient, callback) => {
+    if (!templates.exists(template)) {
+        return callback(new Error(`Message template ${template} not found.`));
+    }
+
+    return messageQueue.enqueuePM(conn, platform, recipient, subject, templates.render(template, substitutions), callback);
+};
+
+// Replies to comments in a subreddit that has replyByPM set are sent to the comment's author as a PM instead
+const queueReplyUsingTemplate = (conn, template, substitutions, sourceMessage, callback) => {
+    if (!templates.exists(template)) {
+        return callback(new Error(`Message template ${template} not found.`));
+    }
+
+    const subreddit = subreddits.settingsFor(sourceMessage);
+    const messageText = templates.render(template, subreddit.footerUrl ? Object.assign({}, substitutions, { how_to_use_url: subreddit.footerUrl }) : substitutions);
+    if (subreddit.replyByPM && sourceMessage.kind === EventKind.Public) {
+        return messageQueue.enqueuePM(conn, sourceMessage.platform, sourceMessage.author, `Re: your comment in r/${sourceMessage.channel}`, messageText, callback);
+    }
+
+    return messageQueue.enqueueReply(conn, sourceMessage.platform, sourceMessage.id, messageText, callback);
 };
 
-const gildThing = (thingFullId, callback) => {
-    const url = `${baseUrl}/api/v1/gold/gild/${thingFullId}`;
-    request.post({ url, headers: { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + globalAccessToken } }, (err, res, body) => {
+const sendQueuedMessages = (callback) => {
+    messageQueue.processQueue(db, platforms.enabled(), (err, sentCount) => {
         if (err) {
+            logger.error('Could not send queued messages', { err });
             return callback(err, null);
         }
-        
-        let response;
-        try {
-            response = JSON.parse(body);
-        } catch (e) {
-            //return callback(e, null);
-        }
-        
-        if (response && (response.json.ratelimit > 0 || response.json.errors.length > 0)) {
-            return callback(new Error('Rate limited.'), null);
+
+        if (sentCount > 0) {
+            logger.info('Sent queued messages', { sentCount });
         }
-        
-        // success
-        return callback(null, true);
+        return callback(null, sentCount);
     });
 };
 
-const markMessageRead = (messageFullId, callback) => {
-    const url = `${baseUrl}/api/read_message`;
-    request.post({ url, form: { id: messageFullId }, headers: { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + globalAccessToken } }, (err, res, body) => {
+const saveMessage = (conn, authorId, message, callback) => {
+    conn.query( ['INSERT INTO Messages (AuthorId, Type, Platform, FullId, PlatformId, ParentId, Channel, Body, Context, PlatformCreated, Created) ',
+                 'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
+                [authorId,
+                 message.kind === EventKind.Direct ? 1 : 2,
+                 message.platform,
+                 message.id,
+                 message.platformId,
+                 message.parentId,
+                 message.channel,
+                 message.body,
+                 message.context,
+                 moment.utc(message.created * 1000).format('YYYY-MM-DD HH:mm:ss')
+                ], (err, res) => {
         if (err) {
-            console.log(err);
+            if (err.code === 'ER_DUP_ENTRY') {
+                const processedErr = new Error(`Message ${message.id} has already been processed.`);
+                processedErr.alreadyProcessed = true;
+                return callback(processedErr, null);
+            }
             return callback(err, null);
         }
-        
-        let response;
-        try {
-            response = JSON.parse(body);
-        } catch (e) {
-            return callback(e, null);
-        }
 
-        // success
-        return callback(null, true);
+        return callback(null, res.insertId);
     });
 };
 
-const sendPMUsingTemplate = (template, substitutions, subject, recipient, callback) => {
-    if (!messageTemplates[template]) {
-        return callback(new Error(`Message template ${template} not found.`));
-    }
-    
-    let messageText = messageTemplates[template];
-    for (let variable in substitutions) {
-        if (substitutions.hasOwnProperty(variable)) {
-            const re = new RegExp(['{', variable, '}'].join(''), 'ig');
-            messageText = messageText.replace(re, substitutions[variable]);
-        }
-    }
-    
-    // send the message
-    const url = `${baseUrl}/api/compose`;
-    request.post({
-                    url,
-                    form: { api_type: 'json', text: messageText, subject, to: recipient },
-                    headers: { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + globalAccessToken }
-                 }, (err, res, body) => {
-                    if (err) {
-                        return callback(err, null);
-                    }
-                    
-                    let response;
-                    try {
-                        response = JSON.parse(body);
-                    } catch (e) {
-                        return callback(e, null);
-                    }
-                    
-                    if (response.json.ratelimit > 0 ||
-                        response.json.errors.length > 0) {
-                        return callback(new Error('Rate limited.'), null);
-                    }
-                    
-                    // success
-                    return callback(null, true);
-                 });
-};
-
-const replyMessageUsingTemplate = (template, substitutions, sourceMessageFullId, callback) => {
-    if (!messageTemplates[template]) {
-        return callback(new Error(`Message template ${template} not found.`));
-    }
-    
-    let messageText = messageTemplates[template];
-    for (let variable in substitutions) {
-        if (substitutions.hasOwnProperty(variable)) {
-            const re = new RegExp(['{', variable, '}'].join(''), 'ig');
-            messageText = messageText.replace(re, substitutions[variable]);
-        }
-    }
-    
-    // send the message
-    const url = `${baseUrl}/api/comment`;
-    request.post({
-                    url,
-                    form: { api_type: 'json', text: messageText, thing_id: sourceMessageFullId },
-                    headers: { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + globalAccessToken }
-                 }, (err, res, body) => {
-                    if (err) {
-                        return callback(err, null);
-                    }
-                    
-                    let response;
-                    try {
-                        response = JSON.parse(body);
-                    } catch (e) {
-                        return callback(e, null);
-                    }
-                    
-                    if (!response.json) {
-                        return callback(new Error('Invalid response.'), null);
-                    }
-                    
-                    if (response.json.ratelimit > 0 ||
-                        response.json.errors.length > 0) {
-                        return callback(new Error('Rate limited.'), null);
-                    }
-                    
-                    // success
-                    return callback(null, true);
-                 });
-};
-
-const getMessageAuthor = (thingId, accessToken, callback) => {
-    const url = util.format('%s/api/info?id=%s', baseUrl, thingId);
-    request.get({ url: url, headers: { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + globalAccessToken } }, (err, res, body) => {
+const isMessageProcessed = (message, callback) => {
+    db.query('SELECT Id FROM Messages WHERE Platform = ? AND FullId = ?', [message.platform, message.id], (err, res) => {
         if (err) {
             return callback(err, null);
         }
-        
-        let response;
-        try {
-            response = JSON.parse(body);
-        } catch (e) {
-            return callback(e, null);
-        }
-        
-        // possible 500 error
-        if (!response || !response.data || !response.data.children) {
-            return callback(new Error('Could not retrieve the message author info.'), null);
-        }
-        
-        return callback(null, (response.data.children.length > 0) ? response.data.children[0].data.author : null);
+
+        return callback(null, res.length > 0);
     });
 };
 
-const sendGild = (sender, recipient, amount, gilddata, callback) => {
-    console.log(`gilding ${recipient} with ${amount} LBC worth ${gilddata.amountUsd} from ${sender}`);
-    
+// Record the message and its author. Calls back with { authorId, messageId }.
+const recordMessage = (conn, message, callback) => {
     const data = {};
     async.waterfall([
         (cb) => {
-            // Start DB transaction
-            db.beginTransaction((err) => {
-                if (err) {
-                    return cb(err, null);
-                }
-                return cb(null, true);
-            });
-        },
-        (started, cb) => {
-            // start a transaction
-            // check the sender's balance
-            createOrGetUserId(sender, cb);
-        },
-        (senderId, cb) => {
-            data.senderId = senderId;
-            getBalance(senderId, cb);
-        },
-        (senderBalance, cb) => {
-            // balance is less than amount required for gilding, or the difference after sending the tip is negative
-            if (senderBalance < amount || (senderBalance - amount) < 0) {
-                return sendPMUsingTemplate('ongild.insufficientfunds',
-                                           {
-                                                how_to_use_url: config.howToUseUrl,
-                                                recipient: `u/${recipient}`,
-                                                amount: amount,
-                                                amount_usd: ['$', parseFloat(gilddata.amountUsd).toFixed(2)].join(''),
-                                                balance: senderBalance
-                                            }, 'Insufficient funds', gilddata.message.data.author, () => {
-                    markMessageRead(gilddata.message.data.name, () => {
-                        cb(new Error('Insufficient funds'), null); 
-                    });
-                });
-            }
-            
-            return db.query('UPDATE Users SET Balance = Balance - ? WHERE Id = ?', [amount, data.senderId], cb);
+            createOrGetUserId(conn, message.platform, message.author, cb);
         },
-        (res, fields, cb) => {
-            createOrGetUserId(recipient, cb);
+        (authorId, cb) => {
+            data.authorId = authorId;
+            saveMessage(conn, authorId, message, cb);
         },
-        (recipientId, cb) => {
-            data.recipientId = recipientId;
-            
-            // save the message
-            const msgdata = gilddata.message.data;
-            db.query(   ['INSERT INTO Messages (AuthorId, Type, FullId, RedditId, ParentRedditId, Subreddit, Body, Context, RedditCreated, Created) ',
-                         'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
-                        [data.senderId,
-                         gilddata.message.kind === privateMessageKind ? 1 : 2,
-                         msgdata.name,
-                         msgdata.id,
-                         msgdata.parent_id,
-                         msgdata.subreddit,
-                         msgdata.body,
-                         msgdata.context,
-                         moment.utc(msgdata.created_utc * 1000).format('YYYY-MM-DD HH:mm:ss')
-                        ], cb);
+        (messageId, cb) => {
+            data.messageId = messageId;
+            markUserActive(conn, data.authorId, cb);
         },
-        (res, fields, cb) => {
-            // save the tip information
-            db.query(   ['INSERT INTO Tips (MessageId, SenderId, RecipientId, Amount, AmountUsd, ParsedAmount, IsGild, Created) ',
-                         'VALUES (?, ?, ?, ?, ?, ?, 1, UTC_TIMESTAMP())'].join(''),
-                        [res.insertId,
-                         data.senderId,
-                         data.recipientId,
-                         amount,
-                         gilddata.amountUsd,
-                         ['$', config.gildPrice.toFixed(2)].join(''),
-                        ], cb);
+        (cb) => {
+            conn.query('SELECT Frozen FROM Users WHERE Id = ?', [data.authorId], cb);
         },
         (res, fields, cb) => {
-            // send the gild
-            gildThing(gilddata.message.data.parent_id, cb);
-        },
-        (success, cb) => {
-            // reply to the source message with message template after successful commit
-            const amountUsdStr = parseFloat(gilddata.amountUsd).toFixed(2);
-            replyMessageUsingTemplate('ongild', { sender: `u/${sender}`, recipient: `u/${recipient}`, gild_amount: `${amount} LBC ($${amountUsdStr})`, how_to_use_url: config.howToUseUrl},
-                                      gilddata.message.data.name, cb);
-        },
-        (success, cb) => {
-            // Mark the message as read
-            markMessageRead(gilddata.message.data.name, cb);
+            data.frozen = res[0].Frozen !== null;
+            settings.get(conn, settings.Setting.TippingPaused, cb);
         },
-        (success, cb) => {
-            // commit the transaction
-            db.commit((err) => {
-                if (err) {
-                    return cb(err, null);
-                }
-                
-                return cb(null, true);
-            });
+        (tippingPaused, cb) => {
+            data.tippingPaused = tippingPaused !== null;
+            cb(null, data);
         }
-    ], (err) => {
+    ], callback);
+};
+
+/**
+ * Handle a message in a transaction on a connection of its own. The message is recorded first and FullId
+ * is unique, so a message that was already handled fails before anything else is written. work(conn, msg, cb)
+ * is called with msg = { authorId, messageId }. Any error rolls everything back, including the message record,
+ * so the message is retried unless it had already been processed. Once the transaction is committed the
+ * message is marked as handled, failing to do so does not undo the commit.
+ */
+const messageTransaction = (message, work, callback) => {
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                recordMessage(conn, message, cb);
+            },
+            (msg, cb) => {
+                work(conn, msg, cb);
+            }
+        ], tcb);
+    }, (err, result) => {
         if (err) {
-            return db.rollback(() => {
-                callback(err, null);
-            });
+            if (err.alreadyProcessed) {
+                logger.forMessage(message).info(err.message);
+                return platforms.get(message.platform).markHandled(message, () => {
+                    callback(null, false);
+                });
+            }
+
+            return callback(err, null);
         }
-        
-        // success
-        return callback(null, true);
+
+        return platforms.get(message.platform).markHandled(message, (merr) => {
+            if (merr) {
+                logger.forMessage(message).warn('Could not mark the message as handled', { err: merr });
+            }
+
+            return callback(null, result);
+        });
     });
 };
 
-const doGild = function(message, callback) {
+// A user who messages the bot has claimed any tips they were sent
+const markUserActive = (conn, userId, callback) => {
     async.waterfall([
         (cb) => {
-            getMessageAuthor(message.data.parent_id, globalAccessToken, cb);
+            conn.query('UPDATE Users SET LastActive = UTC_TIMESTAMP() WHERE Id = ?', [userId], cb);
+        },
+        (res, fields, cb) => {
+            conn.query('UPDATE Tips SET Unclaimed = 0 WHERE RecipientId = ? AND Unclaimed = 1 AND Reversed IS NULL', [userId], cb);
+        }
+    ], (err) => {
+        callback(err);
+    });
+};
+
+// Save a tip. Tips to users who have never used the bot are marked as unclaimed, they are returned
+// to the sender if the recipient does not claim them in time. Gilds are saved as pending until settled,
+// and never unclaimed since the gold cannot be taken back.
+const recordTip = (conn, tip, callback) => {
+    async.waterfall([
+        (cb) => {
+            conn.query('SELECT LastActive FROM Users WHERE Id = ?', [tip.recipientId], cb);
+        },
+        (res, fields, cb) => {
+            const unclaimed = !tip.isGild && res.length > 0 && res[0].LastActive === null;
+            conn.query( ['INSERT INTO Tips (MessageId, SenderId, RecipientId, Amount, AmountUsd, RateUsd, ParsedAmount, IsGild, GildStatus, Unclaimed, Created) ',
+                         'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
+                        [tip.messageId,
+                         tip.senderId,
+                         tip.recipientId,
+                         tip.amount,
+                         tip.amountUsd,
+                         tip.rateUsd,
+                         tip.parsedAmount,
+                         tip.isGild ? 1 : 0,
+                         tip.isGild ? GildStatus.Pending : null,
+                         unclaimed ? 1 : 0
+                        ], cb);
+        }
+    ], callback);
+};
+
+// Record a message that requires no action
+const ignoreMessage = (message, callback) => {
+    messageTransaction(message, (conn, msg, cb) => {
+        cb(null, true);
+    }, callback);
+};
+
+// PM the author of a message that cannot be acted on because an operator froze their account or paused tipping
+const refuseSender = (conn, message, msg, callback) => {
+    const template = msg.frozen ? 'onfrozen' : 'ontipping.paused';
+    const subject = msg.frozen ? 'Account frozen' : 'Tipping paused';
+    queuePMUsingTemplate(conn, template, { how_to_use_url: config.howToUseUrl }, subject, message.platform, message.author, (err) => {
+        callback(err, Outcome.Refused);
+    });
+};
+
+// Count a tip, gild or withdrawal by its outcome once its transaction has committed. There is no outcome when
+// the transaction failed or the message had already been processed.
+const countOutcome = (counter, labels, outcome) => {
+    if (outcome) {
+        counter.inc(Object.assign({ outcome }, labels));
+    }
+};
+
+// Count the tips, gilds and withdrawals that failed and are left to be retried on the next run
+const countFailure = (counter, labels, callback) => (err, result) => {
+    if (err) {
+        const rateLimited = err.code === 'RATELIMIT' || err.statusCode === 429;
+        counter.inc(Object.assign({ outcome: rateLimited ? Outcome.RateLimited : Outcome.Error }, labels));
+    }
+
+    callback(err, result);
+};
+
+// Record a message and PM its author why it could not be handled
+const rejectMessage = (message, template, substitutions, subject, callback) => {
+    messageTransaction(message, (conn, msg, cb) => {
+        queuePMUsingTemplate(conn, template, substitutions, subject, message.platform, message.author, (err) => {
+            cb(err, true);
+        });
+    }, callback);
+};
+
+// A gild is paid for before the gold is given, and settled once the platform has answered. The platform is
+// called outside of any transaction so the sender's balance is not locked while it answers.
+const sendGild = (sender, recipient, amount, gilddata, callback) => {
+    const adapter = platforms.get(gilddata.message.platform);
+    const log = logger.forMessage(gilddata.message);
+    log.info('Sending gild', { sender, recipient, amount, amountUsd: gilddata.amountUsd });
+
+    async.waterfall([
+        (cb) => {
+            reserveGild(sender, recipient, amount, gilddata, cb);
+        },
+        (reserved, cb) => {
+            if (!reserved || reserved.outcome) {
+                return cb(null, reserved && reserved.outcome);
+            }
+
+            return adapter.gild(gilddata.message, (gerr) => {
+                // reddit refuses a gild with a 4xx before giving the gold. Without an answer, or after a server
+                // error, the gold may have been given or not.
+                if (gerr && !(gerr.statusCode < 500)) {
+                    log.error('Gild failed without saying whether the gold was given, it stays pending for an operator', { tipId: reserved.tipId, err: gerr });
+                    return cb(null, Outcome.Unknown);
+                }
+
+                if (gerr) {
+                    log.warn('Gild refused, refunding the sender', { tipId: reserved.tipId, err: gerr });
+                }
+
+                return settleGild(sender, recipient, amount, reserved, gilddata, !gerr, (err) => {
+                    cb(err, gerr ? Outcome.Failed : Outcome.Success);
+                });
+            });
+        }
+    ], (err, outcome) => {
+        if (outcome) {
+            log.info('Gild handled', { outcome });
+        }
+        countOutcome(metrics.tips, { kind: 'gild' }, outcome);
+        callback(err, outcome === Outcome.Success);
+    });
+};
+
+// Check the sender's funds and move the price of the gild from the sender to the gilds account. Calls back
+// with { outcome } when the gild is not going ahead, or with { tipId, senderId, recipientId } of the pending gild.
+const reserveGild = (sender, recipient, amount, gilddata, callback) => {
+    const adapter = platforms.get(gilddata.message.platform);
+
+    // the message is recorded first, which fails if the gild was already processed
+    messageTransaction(gilddata.message, (conn, msg, tcb) => {
+        if (msg.frozen || msg.tippingPaused) {
+            return refuseSender(conn, gilddata.message, msg, (err) => {
+                tcb(err, { outcome: Outcome.Refused });
+            });
+        }
+
+        const data = { senderId: msg.authorId, messageId: msg.messageId };
+        return async.waterfall([
+            (cb) => {
+                // check the sender's balance
+                lockBalance(conn, data.senderId, cb);
+            },
+            (senderBalance, cb) => {
+                // balance is less than amount required for gilding, or the difference after sending the tip is negative
+                if (senderBalance < amount || (senderBalance - amount) < 0) {
+                    return queuePMUsingTemplate(conn, 'ongild.insufficientfunds',
+                                                {
+                                                    how_to_use_url: config.howToUseUrl,
+                                                    recipient: adapter.mention(recipient),
+                                                    amount: amount,
+                                                    amount_usd: ['$', parseFloat(gilddata.amountUsd).toFixed(2)].join(''),
+                                                    balance: senderBalance
+                                                }, 'Insufficient funds', gilddata.message.platform, gilddata.message.author, (err) => {
+                        cb(err, { outcome: Outcome.InsufficientFunds });
+                    });
+                }
+
+                return createOrGetUserId(conn, gilddata.message.platform, recipient, (err, recipientId) => {
+                    if (err) {
+                        return cb(err, null);
+                    }
+
+                    data.recipientId = recipientId;
+                    return payForGild(conn, sender, recipient, amount, data, gilddata, cb);
+                });
+            }
+        ], tcb);
+    }, callback);
+};
+
+const payForGild = (conn, sender, recipient, amount, data, gilddata, callback) => {
+    async.waterfall([
+        (cb) => {
+            // save the tip information
+            recordTip(conn, {
+                messageId: data.messageId,
+                senderId: data.senderId,
+                recipientId: data.recipientId,
+                amount: amount,
+                amountUsd: gilddata.amountUsd,
+                rateUsd: gilddata.rateUsd,
+                parsedAmount: ['$', parseFloat(gilddata.amountUsd).toFixed(2)].join(''),
+                isGild: true
+            }, cb);
+        },
+        (res, fields, cb) => {
+            data.tipId = res.insertId;
+            ledger.transfer(conn, data.senderId, ledger.SystemAccount.Gilds, amount, {
+                type: ledger.SourceType.Gild,
+                id: data.tipId,
+                actor: ledger.userActor(gilddata.message.platform, sender),
+                reason: `Gild from ${sender} to ${recipient}`,
+                correlationId: gilddata.message.correlationId
+            }, cb);
+        }
+    ], (err) => {
+        callback(err, err ? null : { tipId: data.tipId, senderId: data.senderId, recipientId: data.recipientId });
+    });
+};
+
+// Pay the price of a gild to the recipient once the gold was given, or refund it to the sender
+const settleGild = (sender, recipient, amount, gild, gilddata, delivered, callback) => {
+    const adapter = platforms.get(gilddata.message.platform);
+    const amountUsdStr = parseFloat(gilddata.amountUsd).toFixed(2);
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                conn.query('UPDATE Tips SET GildStatus = ? WHERE Id = ? AND GildStatus = ?',
+                           [delivered ? GildStatus.Delivered : GildStatus.Failed, gild.tipId, GildStatus.Pending], cb);
+            },
+            (res, fields, cb) => {
+                ledger.transfer(conn, ledger.SystemAccount.Gilds, delivered ? gild.recipientId : gild.senderId, amount, {
+                    type: ledger.SourceType.Gild,
+                    id: gild.tipId,
+                    actor: ledger.userActor(gilddata.message.platform, sender),
+                    reason: delivered ? `Gild from ${sender} to ${recipient}` : `Refund of a gild from ${sender} to ${recipient} that was refused`,
+                    correlationId: gilddata.message.correlationId
+                }, cb);
+            },
+            (transferId, cb) => {
+                if (!delivered) {
+                    return queuePMUsingTemplate(conn, 'ongild.failed', { recipient: adapter.mention(recipient), amount, how_to_use_url: config.howToUseUrl },
+                                                'Gild failed', gilddata.message.platform, sender, cb);
+                }
+
+                // queue the reply to the source message, it is only sent if the transaction commits
+                return queueReplyUsingTemplate(conn, 'ongild', { sender: adapter.mention(sender), recipient: adapter.mention(recipient), gild_amount: `${amount} LBC ($${amountUsdStr})`,
+                                                                 how_to_use_url: config.howToUseUrl }, gilddata.message, cb);
+            }
+        ], tcb);
+    }, callback);
+};
+
+const doGild = function(message, callback) {
+    async.waterfall([
+        (cb) => {
+            platforms.get(message.platform).parentAuthor(message, cb);
         },
         (recipient, cb) => {
-            const sender = message.data.author;
-            if (sender !== recipient) {
-                return cb(null, { message, recipient, sender, amountUsd: config.gildPrice });
+            const sender = message.author;
+            if (recipient && sender !== recipient) {
+                return cb(null, { message, recipient, sender, amountUsd: subreddits.settingsFor(message).gildPrice });
             }
             
             return cb(null, null);
         },
         (gilddata, cb) => {
             if (gilddata && gilddata.amountUsd > 0) {
-                return convertUsdToLbc(gilddata.amountUsd, (err, convertedAmount) => {
+                return rates.convertUsdToLbc(gilddata.amountUsd, (err, convertedAmount, rateUsd) => {
                     if (err) {
                         return cb(err);
                     }
                     
                     gilddata.amountLbc = convertedAmount;
+                    gilddata.rateUsd = rateUsd;
                     return cb(null, gilddata);
                 });
             }
@@ -691,265 +794,501 @@ const doGild = function(message, callback) {
                 return sendGild(data.sender, data.recipient, data.amountLbc, data, cb);
             }
             
-            return cb(null, null);
+            // nothing to gild, or an attempt to gild yourself
+            return ignoreMessage(message, cb);
         }
-    ], (err) => {
-        if (err) {
-            callback(err, null);
-       }
-
-       markMessageRead(message.data.name, callback);
-    });
+    ], callback);
 };
 
-const doSendTip = (body, message, callback) => {
-    /**
-     * accepted matched strings:
-     * "1 usd" or "1 lbc" or "$1"
-     */
-    // Use regex matching
-    let amountUsd = 0;
-    let amountLbc = 0;
-    let matchedString = '';
-    const match = String(message.data.body).match(tipRegex);
-    if (match && match.length > 0) {
-        matchedString = match[0];
-        if (matchedString.indexOf(' ') > -1) {
-            const parts = matchedString.split(' ', 2);
-            const amount = parseFloat(parts[0]);
-            const unit = parts[1].toLowerCase();
-            if (isNaN(amount) || amount <= 0 || ['usd', 'lbc'].indexOf(unit) === -1) {
-                // invalid amount or unit
-                return sendPMUsingTemplate('onsendtip.invalidamount', { how_to_use_url: config.howToUseUrl }, 'Invalid amount for send tip', message.data.author, () => {
-                    markMessageRead(message.data.name, callback);
-                });
-            }
+/**
+ * Parse the first amount in a message.
+ * accepted matched strings:
+ * "1 usd" or "1 lbc" or "$1"
+ * Returns null if there is no amount, otherwise the amount with invalid set if it cannot be used.
+ */
+const parseTipAmount = (text) => {
+    const match = String(text).match(tipRegex);
+    if (!match || match.length === 0) {
+        return null;
+    }
 
-            if (unit === 'lbc') {
-                amountLbc = amount;
-            } else {
-                amountUsd = amount;
-            }
+    const matchedString = match[0];
+    const result = { amountLbc: 0, amountUsd: 0, parsedAmount: matchedString, invalid: false };
+    if (matchedString.indexOf(' ') > -1) {
+        const parts = matchedString.split(' ', 2);
+        const amount = parseFloat(parts[0]);
+        const unit = parts[1].toLowerCase();
+        if (isNaN(amount) || amount <= 0 || ['usd', 'lbc'].indexOf(unit) === -1) {
+            // invalid amount or unit
+            result.invalid = true;
+        } else if (unit === 'lbc') {
+            result.amountLbc = amount;
         } else {
-            amountUsd = parseFloat(matchedString.substring(1));
-            if (isNaN(amountUsd) || amountUsd <= 0) {
-                return sendPMUsingTemplate('onsendtip.invalidamount', { how_to_use_url: config.howToUseUrl }, 'Invalid amount for send tip', message.data.author, () => {
-                    markMessageRead(message.data.name, callback);
-                });
-            }
+            result.amountUsd = amount;
+        }
+    } else {
+        result.amountUsd = parseFloat(matchedString.substring(1));
+        if (isNaN(result.amountUsd) || result.amountUsd <= 0) {
+            result.invalid = true;
         }
     }
 
-    if (amountLbc > 0 || amountUsd > 0) {
-        const parsedAmount = matchedString;
-        // get the author of the parent message
-        return async.waterfall([
-            (cb) => {
-                getMessageAuthor(message.data.parent_id, globalAccessToken, cb);
-            },
-            (recipient, cb) => {
-                const sender = message.data.author;
-                if (sender !== recipient) {
-                    return cb(null, { amountLbc, amountUsd, message, recipient, sender, parsedAmount });
-                }
-                
-                return cb(null, null);
-            },
-            (tipdata, cb) => {
-                if (tipdata) {
-                    if (tipdata.amountUsd > 0) {
-                        return convertUsdToLbc(tipdata.amountUsd, (err, convertedAmount) => {
-                            if (err) {
-                                return cb(err);
-                            }
-                            
-                            tipdata.amountLbc = convertedAmount;
-                            return cb(null, tipdata);
-                        });
-                    } else if (tipdata.amountLbc > 0 && (!tipdata.amountUsd || tipdata.amountUsd === 0)) {
-                        return convertLbcToUsd(tipdata.amountLbc, (err, convertedAmount) => {
-                            if (err) {
-                                return cb(err);
-                            }
-
-                            tipdata.amountUsd = convertedAmount;
-                            return cb(null, tipdata);
-                        });
-                    }
-                }
+    return result;
+};
 
-                return cb(null, null); 
-            },
-            (data, cb) => {
-                if (data) {
-                    return sendTip(data.sender, data.recipient, data.amountLbc, data, cb);
-                }
+// Work out the LBC amount of a USD tip, or the USD value of an LBC tip, and the rate used
+const priceTip = (tipdata, callback) => {
+    if (tipdata.amountUsd > 0) {
+        return rates.convertUsdToLbc(tipdata.amountUsd, (err, convertedAmount, rateUsd) => {
+            if (err) {
+                return callback(err);
             }
-        ], (err) => {
-             if (err) { callback(err, null); }
-             markMessageRead(message.data.name, callback);
+            
+            tipdata.amountLbc = convertedAmount;
+            tipdata.rateUsd = rateUsd;
+            return callback(null, tipdata);
         });
     }
 
-    // not a valid or recognised message, simply mark the message as read
-    return markMessageRead(message.data.name, callback);
+    return rates.convertLbcToUsd(tipdata.amountLbc, (err, convertedAmount, rateUsd) => {
+        if (err) {
+            return callback(err);
+        }
+
+        tipdata.amountUsd = convertedAmount;
+        tipdata.rateUsd = rateUsd;
+        return callback(null, tipdata);
+    });
 };
 
-const doSendBalance = (message, callback) => {
-    async.waterfall([
-        (cb) => {
-            createOrGetUserId(message.data.author, cb);
-        },
-        (authorId, cb) => {
-            getBalance(authorId, cb);
-        },
-        (balance, cb) => {
-            // send message with balance
-            replyMessageUsingTemplate('onbalance', { how_to_use_url: config.howToUseUrl, amount: balance }, message.data.name, cb);
-        },
-        (success, cb) => {
-            // mark messge as read
-            markMessageRead(message.data.name, cb);
+// LBC amounts are multiplied and divided in whole satoshis to avoid floating point drift
+const multiplyLbc = (amount, count) => (Math.round(parseFloat(amount) * 1e8) * count / 1e8).toFixed(8);
+const divideLbc = (amount, count) => (Math.floor(Math.round(parseFloat(amount) * 1e8) / count) / 1e8).toFixed(8);
+
+// Less than the smallest amount of LBC, as a split of a tiny amount or a tiny USD amount at the exchange rate can be
+const belowMinLbcAmount = (amountLbc) => parseFloat(amountLbc) < minLbcAmount;
+
+// PM the sender that the amount of their tip or send cannot be sent
+const rejectInvalidAmount = (message, subject, callback) => {
+    rejectMessage(message, 'onsendtip.invalidamount', { how_to_use_url: config.howToUseUrl }, subject,
+                  metrics.counted(metrics.tips, { kind: 'tip', outcome: Outcome.InvalidAmount }, callback));
+};
+
+/**
+ * Users named in a tip comment such as "tip u/alice u/bob 2 lbc each" or "split $5 u/a u/b u/c".
+ * Mentions only count as recipients when the comment says "tip" or "split", and the bot and the sender are left out.
+ */
+const parseTipRecipients = (adapter, body, sender) => {
+    if (!tipKeywordRegex.test(body)) {
+        return [];
+    }
+
+    const excluded = [adapter.botName.toLowerCase(), sender.toLowerCase()];
+    const recipients = [];
+    const re = mentionRegex(adapter);
+    let match;
+    while ((match = re.exec(body)) !== null) {
+        const name = match[1];
+        if (excluded.indexOf(name.toLowerCase()) === -1) {
+            excluded.push(name.toLowerCase());
+            recipients.push(name);
         }
-    ], (err) => {
+    }
+
+    return recipients;
+};
+
+// Look up the mentioned users on the platform. Calls back with the names as stored in Users, or the first unknown name.
+const resolveRecipients = (adapter, names, callback) => {
+    async.mapSeries(names, adapter.resolveUser, (err, usernames) => {
         if (err) {
             return callback(err, null);
         }
-        
-        // success
-        return callback(null, true);
+
+        const unknown = names.filter((name, i) => !usernames[i]);
+        return callback(null, { recipients: usernames, unknown: unknown.length > 0 ? unknown[0] : null });
     });
 };
 
-const sendLbcToAddress = (address, amount, callback) => {
-    request.post({ url: config.lbrycrd.rpcurl, json: { method: 'sendfrom', params: [config.lbrycrd.account, address, amount] } }, (err, resp, body) => {
-        if (err || body.error) {
-            return callback(err || body.error, null);
-        }
-        
-        return callback(null, body.result);
-    });  
+// Check the amount each recipient gets against the tip limits where the tip was posted. Returns the template
+// and subject of the PM to reject the tip with, or null if it can be sent.
+const checkTipLimits = (message, amount) => {
+    const subreddit = subreddits.settingsFor(message);
+    const substitutions = { how_to_use_url: config.howToUseUrl, amount: amount };
+    if (subreddit.minTip !== null && parseFloat(amount) < subreddit.minTip) {
+        return { template: 'onsendtip.belowminimum', substitutions: Object.assign(substitutions, { limit: subreddit.minTip }), subject: 'Tip below the minimum' };
+    }
+
+    if (subreddit.maxTip !== null && parseFloat(amount) > subreddit.maxTip) {
+        return { template: 'onsendtip.abovemaximum', substitutions: Object.assign(substitutions, { limit: subreddit.maxTip }), subject: 'Tip above the maximum' };
+    }
+
+    return null;
 };
 
-const doWithdrawal = (amount, address, message, callback) => {
-    const data = {};
-    async.waterfall([
+const doSendTip = (body, message, callback) => {
+    const amount = parseTipAmount(message.body);
+    if (!amount) {
+        // not a valid or recognised message, simply record it and mark it as read
+        return ignoreMessage(message, callback);
+    }
+
+    if (amount.invalid) {
+        return rejectInvalidAmount(message, 'Invalid amount for send tip', callback);
+    }
+
+    const adapter = platforms.get(message.platform);
+    const sender = message.author;
+    const mentioned = parseTipRecipients(adapter, body, sender);
+    const split = splitRegex.test(body);
+    return async.waterfall([
         (cb) => {
-            // Start DB transaction
-            db.beginTransaction((err) => {
-                if (err) {
-                    return cb(err, null);
-                }
-                return cb(null, true);
+            if (mentioned.length > 0) {
+                return resolveRecipients(adapter, mentioned, cb);
+            }
+
+            // get the author of the parent message
+            return adapter.parentAuthor(message, (err, recipient) => {
+                cb(err, { recipients: (recipient && sender !== recipient) ? [recipient] : [], unknown: null });
             });
         },
-        // prevent withdrawal to deposit address
-        (started, cb) => {
-            createOrGetUserId(message.data.author, cb);
-        },
-        (authorId, cb) => {
-            data.userId = authorId;
-            getDepositAddress(authorId, cb);
-        },
-        (depositAddress, cb) => {
-            if (address === depositAddress) {
-                return cb(new Error('Attempt to withdraw to deposit address.'), null);
+        (resolved, cb) => {
+            if (resolved.unknown) {
+                return rejectMessage(message, 'onsend.invaliduser', { how_to_use_url: config.howToUseUrl, recipient: adapter.mention(resolved.unknown) }, 'Invalid recipient for tip',
+                                     metrics.counted(metrics.tips, { kind: 'tip', outcome: Outcome.InvalidRecipient }, (err) => {
+                    cb(err, null);
+                }));
             }
-            
-            return getBalance(data.userId, cb);
-        },
-        (balance, cb) => {
-            // check sufficient balance
-            if (balance < amount || balance - amount < 0) {
-                return sendPMUsingTemplate('onwithdraw.insufficientfunds', { how_to_use_url: config.howToUseUrl, amount: amount, balance: balance },
-                                           'Insufficient funds for withdrawal', message.data.author, () => {
-                    markMessageRead(message.data.name, () => {
-                        cb(new Error('Insufficient funds'), null);
-                    });
+
+            if (resolved.recipients.length === 0) {
+                // an attempt to tip yourself
+                return ignoreMessage(message, (err) => {
+                    cb(err, null);
                 });
             }
-            
-            // Update the balance
-            db.query('UPDATE Users SET Balance = Balance - ? WHERE Id = ?', [amount, data.userId], cb);
-        },
-        (res, fields, cb) => {
-            // Send the transaction on the blockchain
-            sendLbcToAddress(address, amount, cb);
-        },
-        (txhash, cb) => {
-            data.txhash = txhash;
-            // Insert the withdrawal entry
-            db.query('INSERT INTO Withdrawals (UserId, TxHash, Amount, Created) VALUES (?, ?, ?, UTC_TIMESTAMP())', [data.userId, txhash, amount], cb);
-        },
-        (res, fields, cb) => {
-            // commit the transaction
-            db.commit((err) => {
+
+            const recipients = resolved.recipients;
+            return priceTip({ amountLbc: amount.amountLbc, amountUsd: amount.amountUsd, message, sender, parsedAmount: amount.parsedAmount }, (err, tipdata) => {
                 if (err) {
                     return cb(err, null);
                 }
-                
-                return cb(null, true);
+
+                if (split && recipients.length > 1) {
+                    // the amount is shared between the recipients instead of sent to each of them
+                    tipdata.amountUsd = (parseFloat(tipdata.amountUsd) / recipients.length).toFixed(2);
+                    tipdata.amountLbc = divideLbc(tipdata.amountLbc, recipients.length);
+                }
+
+                if (belowMinLbcAmount(tipdata.amountLbc)) {
+                    return rejectInvalidAmount(message, 'Invalid amount for send tip', (rerr) => {
+                        cb(rerr, null);
+                    });
+                }
+
+                const rejection = checkTipLimits(message, tipdata.amountLbc);
+                if (rejection) {
+                    return rejectMessage(message, rejection.template, rejection.substitutions, rejection.subject,
+                                         metrics.counted(metrics.tips, { kind: 'tip', outcome: Outcome.LimitExceeded }, (rerr) => {
+                        cb(rerr, null);
+                    }));
+                }
+
+                return sendTip(sender, recipients, tipdata.amountLbc, tipdata, cb);
             });
+        }
+    ], callback);
+};
+
+// Send LBC to a user named in a PM, without a public comment
+const doSendDirect = (amountText, recipient, message, callback) => {
+    const amount = parseTipAmount(amountText);
+    if (!amount || amount.invalid || amount.parsedAmount !== amountText) {
+        return rejectInvalidAmount(message, 'Invalid amount for send', callback);
+    }
+
+    const adapter = platforms.get(message.platform);
+    const sender = message.author;
+    if (recipient.toLowerCase() === sender.toLowerCase()) {
+        return ignoreMessage(message, callback);
+    }
+
+    return async.waterfall([
+        (cb) => {
+            // use the name as the platform spells it
+            adapter.resolveUser(recipient, cb);
         },
-        (success, cb) => {
-            // mark messge as read
-            markMessageRead(message.data.name, cb);
-        },
-        (success, cb) => {
-            // send a reply
-            replyMessageUsingTemplate('onwithdraw', { how_to_use_url: config.howToUseUrl, address: address, amount: amount, txid: data.txhash }, message.data.name, cb);
+        (username, cb) => {
+            if (!username) {
+                return rejectMessage(message, 'onsend.invaliduser', { how_to_use_url: config.howToUseUrl, recipient: adapter.mention(recipient) }, 'Invalid recipient for send',
+                                     metrics.counted(metrics.tips, { kind: 'tip', outcome: Outcome.InvalidRecipient }, (err) => {
+                    cb(err, null);
+                }));
+            }
+
+            return priceTip({ amountLbc: amount.amountLbc, amountUsd: amount.amountUsd, message, sender, parsedAmount: amount.parsedAmount, direct: true }, (err, tipdata) => {
+                if (err) {
+                    return cb(err, null);
+                }
+
+                if (belowMinLbcAmount(tipdata.amountLbc)) {
+                    return rejectInvalidAmount(message, 'Invalid amount for send', (rerr) => {
+                        cb(rerr, null);
+                    });
+                }
+
+                return sendTip(sender, [username], tipdata.amountLbc, tipdata, cb);
+            });
         }
-    ], (err) => {
+    ], callback);
+};
+
+const doSendBalance = (message, callback) => {
+    messageTransaction(message, (conn, msg, tcb) => {
+        async.waterfall([
+            (cb) => {
+                getBalance(conn, msg.authorId, cb);
+            },
+            (balance, cb) => {
+                // send message with balance
+                queueReplyUsingTemplate(conn, 'onbalance', { how_to_use_url: config.howToUseUrl, amount: balance }, message, cb);
+            }
+        ], tcb);
+    }, callback);
+};
+
+const withdrawalStatusNames = Object.keys(WithdrawalStatus).reduce((names, name) => {
+    names[WithdrawalStatus[name]] = name;
+    return names;
+}, {});
+
+const depositStatusNames = {
+    [DepositStatus.Credited]: 'Completed',
+    [DepositStatus.Conflicted]: 'Dropped',
+    [DepositStatus.Reversed]: 'Reversed',
+    [DepositStatus.Disputed]: 'Dropped'
+};
+
+const markdownTable = (headings, rows) => {
+    if (rows.length === 0) {
+        return '_None_';
+    }
+
+    return [
+        `| ${headings.join(' | ')} |`,
+        `|${headings.map(() => ':--').join('|')}|`
+    ].concat(rows.map((row) => `| ${row.join(' | ')} |`)).join('\n');
+};
+
+const txLink = (txhash) => txhash ? `[tx](${explorerTxUrl}${txhash})` : '';
+
+// Render the history statement, dropping the oldest rows of the longest table until it fits in a reddit message
+const renderHistory = (adapter, userId, balance, history) => {
+    const date = (created) => moment.utc(created).format('YYYY-MM-DD');
+    const tipRows = history.tips.map((tip) => {
+        const sent = tip.SenderId === userId;
+        const type = tip.ReversalOfTipId !== null ? (sent ? 'Expired' : 'Returned') : [sent ? 'Sent' : 'Received', tip.IsGild ? ' (gild)' : ''].join('');
+        const amountUsd = tip.AmountUsd !== null ? ` ($${parseFloat(tip.AmountUsd).toFixed(2)})` : '';
+        return [date(tip.Created), type, adapter.mention(sent ? tip.Recipient : tip.Sender), `${tip.Amount} LBC${amountUsd}`];
+    });
+    const depositRows = history.deposits.map((deposit) => {
+        const status = deposit.Status === DepositStatus.Pending ? `Pending (${Math.min(deposit.Confirmations, deposit.RequiredConfirmations)}/${deposit.RequiredConfirmations} confirmations)` : depositStatusNames[deposit.Status];
+        return [date(deposit.Created), `${deposit.Amount} LBC`, status, txLink(deposit.TxHash)];
+    });
+    const withdrawalRows = history.withdrawals.map((withdrawal) => {
+        return [date(withdrawal.Created), `${withdrawal.Amount} LBC`, `\`${withdrawal.Address}\``, withdrawalStatusNames[withdrawal.Status], txLink(withdrawal.TxHash)];
+    });
+
+    const tables = [tipRows, depositRows, withdrawalRows];
+    for (;;) {
+        const messageText = templates.render('onhistory', {
+            how_to_use_url: config.howToUseUrl,
+            balance: balance,
+            tips: markdownTable(['Date', 'Type', 'User', 'Amount'], tipRows),
+            deposits: markdownTable(['Date', 'Amount', 'Status', 'Tx'], depositRows),
+            withdrawals: markdownTable(['Date', 'Amount', 'Address', 'Status', 'Tx'], withdrawalRows)
+        });
+        if (messageText.length <= maxMessageLength) {
+            return messageText;
+        }
+
+        tables.reduce((longest, rows) => rows.length > longest.length ? rows : longest).pop();
+    }
+};
+
+const doSendHistory = (count, message, callback) => {
+    messageTransaction(message, (conn, msg, tcb) => {
+        const data = { userId: msg.authorId };
+        async.waterfall([
+            (cb) => {
+                getBalance(conn, data.userId, cb);
+            },
+            (balance, cb) => {
+                data.balance = balance;
+                activity.recent(conn, data.userId, count, cb);
+            },
+            (history, cb) => {
+                messageQueue.enqueueReply(conn, message.platform, message.id, renderHistory(platforms.get(message.platform), data.userId, data.balance, history), cb);
+            }
+        ], tcb);
+    }, callback);
+};
+
+const doWithdrawal = (amount, address, message, callback) => {
+    const log = logger.forMessage(message);
+    log.info('Requesting withdrawal', { username: message.author, amount, address });
+
+    // the message is recorded first, which fails if the withdrawal was already processed
+    messageTransaction(message, (conn, msg, tcb) => {
+        if (msg.frozen) {
+            return refuseSender(conn, message, msg, tcb);
+        }
+
+        const data = { userId: msg.authorId, messageId: msg.messageId };
+        return async.waterfall([
+            // prevent withdrawal to deposit address
+            (cb) => {
+                getDepositAddress(conn, data.userId, cb);
+            },
+            (depositAddress, cb) => {
+                if (address === depositAddress) {
+                    return cb(null, { template: 'onwithdraw.invalidaddress', substitutions: { address: address }, subject: 'Invalid address for withdrawal',
+                                      outcome: Outcome.InvalidAddress });
+                }
+                
+                return checkWithdrawal(conn, amount, data.userId, cb);
+            },
+            (rejection, cb) => {
+                if (rejection) {
+                    return queuePMUsingTemplate(conn, rejection.template, Object.assign({ how_to_use_url: config.howToUseUrl }, rejection.substitutions),
+                                                rejection.subject, message.platform, message.author, (err) => {
+                        cb(err, rejection.outcome);
+                    });
+                }
+
+                return transferWithdrawal(conn, amount, address, data, message, cb);
+            }
+        ], tcb);
+    }, (err, outcome) => {
+        if (outcome) {
+            log.info('Withdrawal handled', { outcome });
+        }
+        countOutcome(metrics.withdrawals, {}, outcome);
+        callback(err, outcome);
+    });
+};
+
+// Check the balance and the withdrawal limits. Calls back with the template and subject of the PM
+// to send and the outcome to count if the withdrawal is refused.
+const checkWithdrawal = (conn, amount, userId, callback) => {
+    lockBalance(conn, userId, (err, balance) => {
         if (err) {
-            return db.rollback(() => {
-                callback(err, null);
-            });
+            return callback(err, null);
         }
-        
-        // success
-        return callback(null, true);
+
+        // check sufficient balance
+        if (balance < amount || balance - amount < 0) {
+            return callback(null, { template: 'onwithdraw.insufficientfunds', substitutions: { amount: amount, balance: balance }, subject: 'Insufficient funds for withdrawal',
+                                    outcome: Outcome.InsufficientFunds });
+        }
+
+        if (amount > config.withdrawals.maxAmount) {
+            return callback(null, { template: 'onwithdraw.limitexceeded', substitutions: { amount: amount, limit: config.withdrawals.maxAmount }, subject: 'Withdrawal limit exceeded',
+                                    outcome: Outcome.LimitExceeded });
+        }
+
+        return withdrawals.withdrawnInLastDay(conn, userId, (werr, withdrawn) => {
+            if (werr) {
+                return callback(werr, null);
+            }
+
+            if (withdrawn + amount > config.withdrawals.userDailyLimit) {
+                return callback(null, { template: 'onwithdraw.dailylimitexceeded', substitutions: { amount: amount, withdrawn: withdrawn, limit: config.withdrawals.userDailyLimit },
+                                        subject: 'Daily withdrawal limit exceeded', outcome: Outcome.LimitExceeded });
+            }
+
+            return callback(null, null);
+        });
     });
 };
 
-const doSendDepositAddress = (message, callback) => {
+// Debit the balance and record the withdrawal as requested, or held if it needs an operator's approval.
+// The transaction is sent by the withdrawal worker in deposits.js, which also replies to the message once it is broadcast.
+// Calls back with the outcome, Outcome.Held or Outcome.Success.
+const transferWithdrawal = (conn, amount, address, data, message, callback) => {
+    const held = amount >= config.withdrawals.approvalThreshold;
     async.waterfall([
         (cb) => {
-            createOrGetUserId(message.data.author, cb);
-        },
-        (authorId, cb) => {
-            getDepositAddress(authorId, cb);
+            // Insert the withdrawal entry
+            conn.query(['INSERT INTO Withdrawals (UserId, MessageId, CorrelationId, Address, Amount, Status, Created, Updated) ',
+                        'VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())'].join(''),
+                       [data.userId, data.messageId, message.correlationId, address, amount, held ? WithdrawalStatus.Held : WithdrawalStatus.Requested], cb);
         },
-        (address, cb) => {
-            // send message with balance
-            replyMessageUsingTemplate('ondeposit', { how_to_use_url: config.howToUseUrl, address: address }, message.data.name, cb);
+        (res, fields, cb) => {
+            // Debit the balance
+            data.withdrawalId = res.insertId;
+            ledger.transfer(conn, data.userId, ledger.SystemAccount.Wallet, amount, {
+                type: ledger.SourceType.Withdrawal,
+                id: data.withdrawalId,
+                actor: ledger.userActor(message.platform, message.author),
+                reason: `Withdrawal to ${address}`,
+                correlationId: message.correlationId
+            }, cb);
         },
-        (success, cb) => {
-            // mark messge as read
-            markMessageRead(message.data.name, cb);
+        (transferId, cb) => {
+            if (held) {
+                logger.forMessage(message).info('Withdrawal held for approval', { withdrawalId: data.withdrawalId, amount });
+                return queuePMUsingTemplate(conn, 'onwithdraw.held', { how_to_use_url: config.howToUseUrl, amount: amount, address: address, threshold: config.withdrawals.approvalThreshold },
+                                            'Withdrawal held for review', message.platform, message.author, cb);
+            }
+
+            return cb(null, null);
         }
     ], (err) => {
-        if (err) {
-            return callback(err, null);
-        }
-        
-        // success
-        return callback(null, true);
+        callback(err, held ? Outcome.Held : Outcome.Success);
     });
 };
 
-// Commands
-// balance (PM)
-// deposit (PM)
-// tip (Comment): <amount> <unit> u/lbryian
-// withdraw (PM): withdraw <amount> <address>
-const processMessage = function(message, callback) {
-    if (!message.kind || !message.data) {
-        //console.log('Invalid message encountered.');
-        return callback(new Error('Invalid message specified for processing.'));
-    }
+const doAdminCommand = (body, message, callback) => {
+    messageTransaction(message, (conn, msg, tcb) => {
+        async.waterfall([
+            (cb) => {
+                adminCommands.run(conn, message, msg.messageId, body, cb);
+            },
+            (resultText, cb) => {
+                messageQueue.enqueueReply(conn, message.platform, message.id, resultText, cb);
+            }
+        ], tcb);
+    }, callback);
+};
+
+const doSendDepositAddress = (message, callback) => {
+    messageTransaction(message, (conn, msg, tcb) => {
+        async.waterfall([
+            (cb) => {
+                getDepositAddress(conn, msg.authorId, cb);
+            },
+            (address, cb) => {
+                // send message with deposit address
+                queueReplyUsingTemplate(conn, 'ondeposit', { how_to_use_url: config.howToUseUrl, address: address }, message, cb);
+            }
+        ], tcb);
+    }, callback);
+};
 
-    const body = String(message.data.body).trim();
-    if (message.kind === privateMessageKind) {
+// Commands, shown with reddit mentions. Direct commands are PMs on reddit.
+// balance (Direct)
+// deposit (Direct)
+// history (Direct): history [count]
+// send (Direct): send <amount> <unit> u/<user>
+// tip (Public): <amount> <unit> u/lbryian
+// tip several users (Public): u/lbryian tip u/<user> u/<user> <amount> <unit> [each], or split <amount> <unit> u/<user> u/<user>
+// gild (Public, on platforms that have gold): gild u/lbryian
+// withdraw (Direct): withdraw <amount> <address>
+// admin (Direct, operators only): admin <command> [arguments], see lib/admincommands.js
+const handleMessage = function(message, callback) {
+    const adapter = platforms.get(message.platform);
+    const body = String(message.body).trim();
+    if (message.kind === EventKind.Direct) {
         // balance, deposit or withdraw
         // Check the command
         if ('balance' === body.toLowerCase()) {
@@ -958,101 +1297,188 @@ const processMessage = function(message, callback) {
         } else if ('deposit' === body.toLowerCase()) {
             // send deposit address
             return doSendDepositAddress(message, callback);
-        } else {
-            // withdrawal
-            const parts = body.split(' ');
-            if (parts.length !== 3 ||
-                parts[0].toLowerCase() !== 'withdraw') {
-                // invalid message, ignore
-                //console.log("Invalid Message=" + body);
-                return markMessageRead(message.data.name, callback);
-            }
+        }
 
-            const amount = parseFloat(parts[1]);
-            if (isNaN(amount) || amount < 0) {
-                // TODO: send a message that the withdrawal amount is invalid
-                return sendPMUsingTemplate('onwithdraw.invalidamount', { how_to_use_url: config.howToUseUrl }, 'Invalid amount for withdrawal', message.data.author, () => {
-                    markMessageRead(message.data.name, callback);
-                });
-            }
-            
-            if (amount <= config.lbrycrd.txfee) {
-                return sendPMUsingTemplate('onwithdraw.amountltefee', { how_to_use_url: config.howToUseUrl, amount: amount, fee: config.lbrycrd.txfee },
-                                           'Withdrawal amount less than minimum fee', message.data.author, () => {
-                    markMessageRead(message.data.name, callback);
-                });
-            }
-            
-            // base58 check the address
-            const address = parts[2];
-            try {
-                base58.decode(address);
-            } catch(e) {
-                return sendPMUsingTemplate('onwithdraw.invalidaddress', { how_to_use_url: config.howToUseUrl }, 'Invalid address for withdrawal', message.data.author, () => {
-                    markMessageRead(message.data.name, callback);
-                });
-            }
+        const sendMatch = body.match(sendRegex(adapter));
+        if (sendMatch) {
+            // send LBC to another user
+            return doSendDirect(sendMatch[1], sendMatch[2], message, countFailure(metrics.tips, { kind: 'tip' }, callback));
+        }
+
+        const words = body.toLowerCase().split(/\s+/);
+        if (words[0] === 'admin' && adminCommands.isOperator(message)) {
+            return doAdminCommand(body, message, callback);
+        }
 
-            return doWithdrawal(amount, address, message, callback);
+        if (words[0] === 'history' && words.length <= 2) {
+            // send recent tips, deposits and withdrawals
+            const count = words.length === 2 ? parseInt(words[1], 10) : defaultHistoryCount;
+            return doSendHistory((isNaN(count) || count < 1) ? defaultHistoryCount : Math.min(count, maxHistoryCount), message, callback);
         }
 
-        return markMessageRead(message.data.name, callback);
+        // withdrawal
+        const parts = body.split(' ');
+        if (parts.length !== 3 ||
+            parts[0].toLowerCase() !== 'withdraw') {
+            // invalid message, ignore
+            return ignoreMessage(message, callback);
+        }
+
+        const amount = parseFloat(parts[1]);
+        if (isNaN(amount) || amount < 0) {
+            return rejectMessage(message, 'onwithdraw.invalidamount', { how_to_use_url: config.howToUseUrl }, 'Invalid amount for withdrawal',
+                                 metrics.counted(metrics.withdrawals, { outcome: Outcome.InvalidAmount }, callback));
+        }
+        
+        if (amount <= config.lbrycrd.txfee) {
+            return rejectMessage(message, 'onwithdraw.amountltefee', { how_to_use_url: config.howToUseUrl, amount: amount, fee: config.lbrycrd.txfee },
+                                 'Withdrawal amount less than minimum fee', metrics.counted(metrics.withdrawals, { outcome: Outcome.InvalidAmount }, callback));
+        }
+        
+        // base58 check the address
+        const address = parts[2];
+        try {
+            base58.decode(address);
+        } catch(e) {
+            return rejectMessage(message, 'onwithdraw.invalidaddress', { how_to_use_url: config.howToUseUrl, address: address }, 'Invalid address for withdrawal',
+                                 metrics.counted(metrics.withdrawals, { outcome: Outcome.InvalidAddress }, callback));
+        }
+
+        return doWithdrawal(amount, address, message, countFailure(metrics.withdrawals, {}, callback));
     }
 
-    if (message.kind === commentKind) {
-        const gildMatch = body.match(gildRegex);
-        if (gildMatch && gildMatch.length > 0) {
-            doGild(message, callback);
-        } else {
-            doSendTip(body, message, callback);
+    if (message.kind === EventKind.Public) {
+        if (!subreddits.settingsFor(message).enabled) {
+            // the bot does not serve this subreddit
+            return ignoreMessage(message, callback);
+        }
+
+        if (adapter.gild && gildRegex(adapter).test(body)) {
+            return doGild(message, countFailure(metrics.tips, { kind: 'gild' }, callback));
         }
+
+        return doSendTip(body, message, countFailure(metrics.tips, { kind: 'tip' }, callback));
     }
+
+    return ignoreMessage(message, callback);
 };
 
-// Run the bot
-const runBot = () => {
+// Messages are recorded in Messages by platform and FullId when handled, so an event that is fetched
+// again (e.g. after a crash before it was marked as handled) is only marked as handled.
+const processMessage = function(message, callback) {
+    // everything logged and audited on behalf of the message carries its correlation id
+    message.correlationId = logger.newCorrelationId();
+    const log = logger.forMessage(message);
+    log.debug('Processing message', { kind: message.kind, author: message.author });
+    isMessageProcessed(message, (err, processed) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (processed) {
+            log.info('Message has already been processed');
+            return platforms.get(message.platform).markHandled(message, callback);
+        }
+
+        return handleMessage(message, callback);
+    });
+};
+
+// Handle the new events of one platform
+const processPlatform = (adapter, callback) => {
     async.waterfall([
         (cb) => {
-            if (!accessTokenTime || moment.duration(moment().diff(accessTokenTime)).asMinutes() >= 59) {
-                // remove old or expired tokens
-                // TODO: Implement refreshToken
-                if (fs.existsSync(config.accessTokenPath)) {
-                    fs.unlinkSync(config.accessTokenPath);
-                }
-            }
-            
-            return cb(null);
+            adapter.fetchEvents(cb);
         },
+        (events, cb) => {
+            metrics.unhandledEvents.set({ platform: adapter.name }, events.length);
+            async.eachSeries(events, (message, ecb) => {
+                processMessage(message, (err) => {
+                    if (err) {
+                        // the message is not marked as handled, it will be retried on the next run
+                        logger.forMessage(message).error('Could not process the message, it will be retried', { err });
+                    }
+                    ecb();
+                });
+            }, cb);
+        }
+    ], (err) => {
+        if (err) {
+            // the other platforms are still processed
+            logger.error('Could not process the events of a platform', { platform: adapter.name, err });
+        }
+        callback(null, !err);
+    });
+};
+
+// One iteration of the bot
+const runOnce = (callback) => {
+    async.waterfall([
         (cb) => {
-            loadAccessToken(cb);  
-        },
-        (token, cb) => {
-            if (!token || token.trim().length === 0) {
-                return oauth(cb);
-            }
-            
-            return cb(null, token);
-        },
-        (token, cb) => {
-            globalAccessToken = token;
-            processCompletedDeposits(cb);
+            processUnclaimedTips(cb);
         },
         (success, cb) => {
-            retrieveUnreadMessages(globalAccessToken, cb);
-        },
-        (unread, cb) => {
-            async.eachSeries(unread, (message, ecb) => {
-                processMessage(message, ecb);    
+            const adapters = platforms.enabled();
+            async.mapSeries(Object.keys(adapters), (platform, mcb) => {
+                processPlatform(adapters[platform], mcb);
             }, cb);
+        },
+        (fetched, cb) => {
+            // a run that could not read any platform does not count as a run for the health check
+            if (fetched.indexOf(true) === -1) {
+                return cb(new Error('The events of no platform could be fetched.'));
+            }
+
+            return cb(null);
         }
     ], (err) => {
         if (err) {
-            console.log(err);
+            logger.error('Bot run failed', { err });
         }
-        
+
+        // send queued replies and PMs even if processing the inbox failed
+        sendQueuedMessages((serr) => {
+            if (err || serr) {
+                return callback();
+            }
+
+            // for the health check of the HTTP API
+            return settings.set(db, settings.Setting.BotLastRun, new Date().toISOString(), (perr) => {
+                if (perr) {
+                    logger.error('Could not record the bot run', { err: perr });
+                }
+                callback();
+            });
+        });
+    });
+};
+
+// Run the bot
+const runBot = () => {
+    runOnce(() => {
         // Wait 1 minute for next iteration
-        console.log('Waiting 1 minute...');
+        logger.debug('Waiting 1 minute');
         setTimeout(runBot, 60000);
-    });    
+    });
+};
+
+if (require.main === module) {
+    if (config.httpApi.enabled) {
+        httpApi.start((err) => {
+            if (err) {
+                // the bot keeps running without it
+                logger.error('Could not start the HTTP API', { err });
+            }
+        });
+    }
+
+    runBot();
+}
+
+module.exports = {
+    divideLbc,
+    multiplyLbc,
+    parseTipAmount,
+    parseTipRecipients,
+    runOnce
 };
-runBot();
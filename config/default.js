@@ -1,28 +1,148 @@
 module.exports = {
     debug: true,
+    
+    // JSON log entries on stdout, level is the lowest one written: debug, info, warn or error
+    log: {
+        level: 'info'
+    },
     accessTokenPath: 'token',
+    accessTokenRefreshMargin: 300, // seconds before expiry to refresh the access token
     clientId: '<CLIENT_ID>',
     clientSecret: '<CLIENT_SECRET>',
     username: '<USERNAME>',
     password: '<PASSWORD>',
     
     userAgent: '<USER_AGENT_STRING>',
+    
+    // chat platforms to run on, each has an adapter in lib/platforms
+    platforms: ['reddit'],
+    
+    // reddit API client, delays in milliseconds
+    reddit: {
+        apiUrl: 'https://oauth.reddit.com',
+        tokenUrl: 'https://www.reddit.com/api/v1/access_token',
+        minRequestInterval: 1000,
+        maxRetries: 3,
+        retryDelay: 2000
+    },
     howToUseUrl: 'https://np.reddit.com/r/lbry/wiki/tipbot',
     
     // for handling tip comments
     redditName: 'u/lbryian',
-    gildPrice: 2.5,
+    
+    // tip settings per subreddit. A subreddit listed in subreddits (by name, without r/) takes the settings
+    // its entry sets from there and the rest from subredditDefaults. Set enabled to false in the defaults to
+    // only serve the subreddits that enable it. Tip limits in LBC, null for none, gildPrice in USD.
+    // replyByPM answers comments by PM for subreddits that do not allow bot comments, footerUrl replaces
+    // howToUseUrl in the footer of replies.
+    subredditDefaults: {
+        enabled: true,
+        minTip: null,
+        maxTip: null,
+        gildPrice: 2.5,
+        replyByPM: false,
+        footerUrl: null
+    },
+    subreddits: {
+        // lbry: { minTip: 1, footerUrl: 'https://np.reddit.com/r/lbry/wiki/tipbot' }
+    },
+    
+    // Discord bot, polled over the REST API so only messages in these channels are seen. Commands that are
+    // PMs on reddit are written as a mention of the bot followed by the command and answered by DM.
+    // batchSize is the number of messages read per channel and run, delays in milliseconds.
+    discord: {
+        apiUrl: 'https://discord.com/api/v10',
+        token: '<BOT_TOKEN>',
+        botUserId: '<BOT_USER_ID>',
+        channels: [],
+        batchSize: 100,
+        maxEventAttempts: 5, // a message that failed this often is skipped and the operators are alerted
+        maxRetries: 3,
+        retryDelay: 2000
+    },
     
     mariadb: {
         host: 'localhost',
         username: '<DB_USERNAME>',
         password: '<DB_PASSWORD>',
-        database: '<DB_NAME>'
+        database: '<DB_NAME>',
+        // connections shared by the message, deposit and withdrawal handlers
+        connectionLimit: 10
+    },
+    
+    // LBC/USD rate, the median of all providers that respond is used. ttl and maxStaleness in seconds.
+    exchangeRate: {
+        ttl: 300,
+        maxStaleness: 1800,
+        timeout: 10000, // milliseconds
+        providers: [
+            { name: 'lbry', url: 'https://api.lbry.io/lbc/exchange_rate', path: 'data.lbc_usd' },
+            { name: 'coingecko', url: 'https://api.coingecko.com/api/v3/simple/price?ids=lbry-credits&vs_currencies=usd', path: 'lbry-credits.usd' }
+        ]
+    },
+    
+    // outgoing replies and PMs, delays in seconds unless noted
+    messageQueue: {
+        batchSize: 20,
+        sendDelay: 2000, // milliseconds between sends
+        maxAttempts: 10,
+        retryDelay: 60,
+        maxRetryDelay: 3600
+    },
+    
+    // withdrawal amounts in LBC
+    withdrawals: {
+        confirmations: 3, // a broadcast withdrawal is confirmed after this many confirmations
+        maxAmount: 5000, // largest single withdrawal
+        userDailyLimit: 10000, // per user in a rolling 24 hours
+        globalDailyLimit: 50000, // sent from the hot wallet in a rolling 24 hours
+        approvalThreshold: 1000 // withdrawals of at least this amount wait for an operator to approve them
+    },
+    
+    // tips to users who have never used the bot, in days
+    unclaimedTips: {
+        remindAfter: 7, // PM the recipient once
+        expireAfter: 30 // return the tip to the sender
+    },
+    
+    // deposit ingestion, in blocks
+    deposits: {
+        cursorDepth: 6, // blocks read again on every run to notice reorgs
+        reorgWindow: 100, // credited deposits are checked until they have this many confirmations
+        // confirmations needed before a deposit is credited, by amount in LBC. The first matching tier applies,
+        // and an amount no tier matches needs as many confirmations as the strictest tier.
+        confirmationPolicy: [
+            { below: 10, confirmations: 1 },
+            { below: 1000, confirmations: 3 },
+            { confirmations: 6 }
+        ]
+    },
+    
+    // reddit usernames of the operators, alerted when something needs attention and allowed to send admin commands
+    operators: [],
+    
+    // HTTP API for monitoring and operators, served by the bot on localhost only. The pause and resume endpoints
+    // take token as a bearer token and are refused while it is not set. The health check fails when the bot or
+    // the deposit processor has not finished a run for maxLoopAge seconds. The deposit processor serves its own
+    // Prometheus metrics on depositsMetricsPort, null to not serve them.
+    httpApi: {
+        enabled: true,
+        port: 8091,
+        token: null,
+        maxLoopAge: 300,
+        depositsMetricsPort: 8092
+    },
+    
+    // compare the wallet with user balances and pending withdrawals, interval in seconds
+    reconciliation: {
+        interval: 600,
+        threshold: 1 // shortfall in LBC that pauses withdrawals
     },
     
     lbrycrd: {
         account: 'tips',
         rpcurl: 'http://127.0.0.1:9245',
+        timeout: 30000, // milliseconds, a withdrawal still waiting for its sendfrom call then needs an operator
         txfee: 0.00002000
     }
 };
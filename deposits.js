@@ -1,136 +1,766 @@
 // Background tx processor for handling deposits and withdrawals
 const async = require('async');
 const config = require('./config/config');
-const mysql = require('mysql');
+const db = require('./lib/db');
 const request = require('request');
+const deposits = require('./lib/deposits');
+const DepositStatus = deposits.DepositStatus;
+const lbrycrd = require('./lib/lbrycrd');
+const ledger = require('./lib/ledger');
+const logger = require('./lib/logger');
+const messageQueue = require('./lib/messagequeue');
+const metrics = require('./lib/metrics');
+const platforms = require('./lib/platforms');
+const settings = require('./lib/settings');
+const templates = require('./lib/templates');
+const withdrawals = require('./lib/withdrawals');
+const WithdrawalStatus = withdrawals.WithdrawalStatus;
 if (config.debug) {
     require('request-debug')(request);
 }
 
-// Connect to the database
-let db;
-const initSqlConnection = () => {
-    const _db = mysql.createConnection({
-        host: config.mariadb.host,
-        user: config.mariadb.username,
-        password: config.mariadb.password,
-        database: config.mariadb.database,
-        charset: 'utf8mb4',
-        timezone: 'Z'
-    });
-    
-    _db.on('error', (err) => {
-        if (err.code === 2006 || ['PROTOCOL_CONNECTION_LOST', 'PROTOCOL_PACKETS_OUT_OF_ORDER', 'PROTOCOL_ENQUEUE_AFTER_FATAL_ERROR'].indexOf(err.code) > -1) {
-            _db.destroy();
-            db = initSqlConnection();
+// Logger of the current run, its correlation id is on everything the run logs and writes to BalanceAudit
+let runLog = logger;
+
+// A withdrawal is logged under the correlation id of the message that requested it
+const withdrawalLog = (withdrawal) => {
+    return runLog.child({ correlationId: withdrawal.CorrelationId || runLog.fields.correlationId, withdrawalId: withdrawal.Id });
+};
+
+const userForDepositAddress = (address, callback) => {
+    db.query('SELECT Id, Platform, Username FROM Users WHERE DepositAddress = ?', [address], (err, res) => {
+        if (err) {
+            return callback(err, null);
         }
+        
+        return callback(null, res.length > 0 ? res[0] : null);
     });
-    
-    return _db;
 };
-db = initSqlConnection();
 
-const userIdForDepositAddress = (address, callback) => {
-    db.query('SELECT Id FROM Users WHERE DepositAddress = ?', [address], (err, res) => {
+// Store a deposit, one output of a transaction, or update its confirmations. The user is told about a deposit the
+// first time it is seen, unless it already has enough confirmations to be credited straight away.
+const storeDeposit = (depositor, txhash, vout, amount, confirmations, callback) => {
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                // a deposit stored without its output is taken over by the output with its amount
+                conn.query(['SELECT Id FROM Deposits WHERE UserId = ? AND TxHash = ? AND (Vout = ? OR (Vout IS NULL AND Amount = ?)) ',
+                            'ORDER BY Vout IS NULL LIMIT 1 FOR UPDATE'].join(''), [depositor.Id, txhash, vout, amount], cb);
+            },
+            (res, fields, cb) => {
+                if (res.length > 0) {
+                    return conn.query('UPDATE Deposits SET Vout = ?, Confirmations = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?', [vout, confirmations, res[0].Id], (err) => {
+                        cb(err);
+                    });
+                }
+                
+                const requiredConfirmations = deposits.requiredConfirmations(amount);
+                return async.waterfall([
+                    (wcb) => {
+                        conn.query(['INSERT INTO Deposits (UserId, TxHash, Vout, Amount, Confirmations, RequiredConfirmations, Status, Created) ',
+                                    'VALUES (?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
+                                   [depositor.Id, txhash, vout, amount, confirmations, requiredConfirmations, DepositStatus.Pending], wcb);
+                    },
+                    (ires, ifields, wcb) => {
+                        if (confirmations >= requiredConfirmations) {
+                            return wcb(null, null);
+                        }
+                        
+                        const messageText = templates.render('ondeposit.pending', {
+                            how_to_use_url: config.howToUseUrl,
+                            amount: amount,
+                            txid: txhash,
+                            confirmations: confirmations,
+                            required_confirmations: requiredConfirmations
+                        });
+                        return messageQueue.enqueuePM(conn, depositor.Platform, depositor.Username, 'Deposit detected', messageText, wcb);
+                    }
+                ], (err) => {
+                    cb(err);
+                });
+            }
+        ], (err) => {
+            tcb(err, true);
+        });
+    }, callback);
+};
+
+const createDeposit = (address, txhash, vout, amount, confirmations, callback) => {
+    userForDepositAddress(address, (err, depositor) => {
         if (err) {
             return callback(err, null);
         }
         
-        if (res.length === 0) {
-            return callback(new Error(`User with deposit address ${address} not found.`));
+        if (!depositor) {
+            // skipped rather than failed, otherwise the cursor could never move past it
+            runLog.warn('No user has the deposit address, ignoring the transaction', { address, txhash });
+            return callback(null, null);
         }
         
-        return callback(null, res[0].Id);
+        return storeDeposit(depositor, txhash, vout, amount, confirmations, callback);
     });
 };
 
-const createDeposit = (address, txhash, amount, confirmations, callback) => {
+// Transactions that will never confirm: conflicted by a double spend or reorg, or abandoned in the wallet
+const isDroppedTx = (tx) => tx.confirmations < 0 || tx.abandoned === true;
+
+// Take back one deposit of a dropped transaction, in the current transaction. Calls back with a description of what was done.
+const reverseDeposit = (conn, deposit, reason, callback) => {
+    const data = {};
+    async.waterfall([
+        (cb) => {
+            if (deposit.Status === DepositStatus.Pending) {
+                // never credited, and no longer pending so it never will be
+                data.status = DepositStatus.Conflicted;
+                data.outcome = 'It had not been credited, so no balance was changed.';
+                return cb(null);
+            }
+            
+            const source = { type: ledger.SourceType.Reversal, id: deposit.Id, actor: 'deposits', reason: `Deposit tx ${deposit.TxHash} dropped: ${reason}`,
+                             correlationId: runLog.fields.correlationId };
+            return ledger.transfer(conn, deposit.UserId, ledger.SystemAccount.Wallet, deposit.Amount, source, (err) => {
+                if (err && err.code === 'INSUFFICIENT_FUNDS') {
+                    data.status = DepositStatus.Disputed;
+                    data.outcome = 'It had been credited and the user no longer has the funds to reverse it. The deposit needs operator attention.';
+                    return cb(null);
+                }
+                if (err) {
+                    return cb(err);
+                }
+                
+                data.status = DepositStatus.Reversed;
+                data.outcome = 'It had been credited and has been taken back from the user\'s balance.';
+                return async.waterfall([
+                    (wcb) => {
+                        conn.query('SELECT Balance FROM Users WHERE Id = ?', [deposit.UserId], wcb);
+                    },
+                    (res, fields, wcb) => {
+                        const messageText = templates.render('ondeposit.reversed', { how_to_use_url: config.howToUseUrl, amount: deposit.Amount, txid: deposit.TxHash, balance: res[0].Balance });
+                        messageQueue.enqueuePM(conn, deposit.Platform, deposit.Username, 'Deposit reversed', messageText, wcb);
+                    }
+                ], (err) => {
+                    cb(err);
+                });
+            });
+        },
+        (cb) => {
+            conn.query('UPDATE Deposits SET Status = ?, Error = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?', [data.status, reason, deposit.Id], cb);
+        },
+        (res, fields, cb) => {
+            runLog.warn('Deposit dropped', { depositId: deposit.Id, txhash: deposit.TxHash, reason, outcome: data.outcome });
+            const messageText = templates.render('ondeposit.dropped', {
+                deposit_id: deposit.Id,
+                amount: deposit.Amount,
+                username: platforms.get(deposit.Platform).mention(deposit.Username),
+                txid: deposit.TxHash,
+                reason: reason,
+                outcome: data.outcome
+            });
+            messageQueue.alertOperators(conn, 'Deposit dropped', messageText, cb);
+        }
+    ], (err) => {
+        callback(err, data.outcome);
+    });
+};
+
+// A transaction was conflicted, abandoned or removed from the chain. The pending or credited deposit of output vout
+// is dropped, along with a deposit of the transaction stored without its output.
+const dropDepositTx = (txhash, vout, reason, callback) => {
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                conn.query(['SELECT D.Id, D.UserId, D.TxHash, D.Amount, D.Status, U.Platform, U.Username FROM Deposits D JOIN Users U ON U.Id = D.UserId ',
+                            'WHERE D.TxHash = ? AND (D.Vout = ? OR D.Vout IS NULL) AND D.Status IN (?, ?) FOR UPDATE'].join(''),
+                           [txhash, vout, DepositStatus.Pending, DepositStatus.Credited], cb);
+            },
+            (res, fields, cb) => {
+                async.eachSeries(res, (deposit, ecb) => {
+                    reverseDeposit(conn, deposit, reason, ecb);
+                }, (err) => {
+                    cb(err, res.length);
+                });
+            }
+        ], tcb);
+    }, (err, dropped) => {
+        if (!err) {
+            metrics.deposits.inc({ outcome: 'dropped' }, dropped);
+        }
+        callback(err, true);
+    });
+};
+
+// A transaction removed by a reorg is only dropped once the wallet says it will not confirm: it is conflicted,
+// abandoned or gone. Otherwise it can still be mined again and is followed like any other pending deposit.
+const dropRemovedTx = (txhash, vout, callback) => {
+    lbrycrd.rpc('gettransaction', [txhash], (err, tx) => {
+        if (err && err.code === -5) {
+            return dropDepositTx(txhash, vout, 'removed by a reorg', callback);
+        }
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (isDroppedTx(tx)) {
+            return dropDepositTx(txhash, vout, `removed by a reorg and ${tx.abandoned ? 'abandoned' : 'conflicted'}`, callback);
+        }
+
+        return callback(null, false);
+    });
+};
+
+const isDepositTx = (tx) => tx.category === 'receive' && tx.amount > 0 && (tx.account === undefined || tx.account === config.lbrycrd.account);
+
+// Read the wallet transactions since the last block processed. The cursor is kept config.deposits.cursorDepth
+// blocks behind the tip, so the last few blocks are read again and a short reorg is noticed.
+const processNewDeposits = (callback) => {
+    async.waterfall([
+        (cb) => {
+            settings.get(db, settings.Setting.LastDepositBlock, cb);
+        },
+        (lastBlock, cb) => {
+            // the whole wallet history on the first run
+            lbrycrd.rpc('listsinceblock', lastBlock ? [lastBlock, config.deposits.cursorDepth] : [], cb);
+        },
+        (result, cb) => {
+            const transactions = result.transactions.filter(isDepositTx);
+            const removed = (result.removed || []).filter(isDepositTx);
+            async.series([
+                (scb) => {
+                    async.eachSeries(transactions, (tx, ecb) => {
+                        if (isDroppedTx(tx)) {
+                            return dropDepositTx(tx.txid, tx.vout, tx.abandoned ? 'abandoned' : 'conflicted', ecb);
+                        }
+                        
+                        return createDeposit(tx.address, tx.txid, tx.vout, tx.amount, tx.confirmations, ecb);
+                    }, scb);
+                },
+                (scb) => {
+                    async.eachSeries(removed, (tx, ecb) => {
+                        if (transactions.some((active) => active.txid === tx.txid && active.confirmations >= 0)) {
+                            // mined again on the new chain
+                            return ecb();
+                        }
+
+                        return dropRemovedTx(tx.txid, tx.vout, ecb);
+                    }, scb);
+                },
+                (scb) => {
+                    // only move the cursor once everything up to it has been stored
+                    settings.set(db, settings.Setting.LastDepositBlock, result.lastblock, scb);
+                }
+            ], (err) => {
+                cb(err);
+            });
+        }
+    ], callback);
+};
+
+// Pending deposits, and credited deposits that are recent enough to be undone by a reorg
+const processPendingDeposits = (callback) => {
     async.waterfall([
         (cb) => {
-            userIdForDepositAddress(address, cb);
+            db.query('SELECT Id, TxHash, Vout, Confirmations FROM Deposits WHERE Status = ? OR (Status = ? AND Confirmations < ?)',
+                     [DepositStatus.Pending, DepositStatus.Credited, config.deposits.reorgWindow], cb);
         },
-        (depositorId, cb) => {
-            db.query('INSERT INTO Deposits (UserId, TxHash, Amount, Confirmations, Created) VALUES (?, ?, ?, ?, UTC_TIMESTAMP()) ON DUPLICATE KEY UPDATE Confirmations = ?',
-                     [depositorId, txhash, amount, confirmations, confirmations], cb);
-        }           
+        (res, fields, cb) => {
+            async.eachSeries(res, (deposit, ecb) => {
+                lbrycrd.rpc('gettransaction', [deposit.TxHash], (err, tx) => {
+                    if (err && err.code === -5) {
+                        // invalid or non-wallet transaction id, the wallet no longer knows about it
+                        return dropDepositTx(deposit.TxHash, deposit.Vout, 'no longer in the wallet', ecb);
+                    }
+                    if (err) {
+                        return ecb(err, null);
+                    }
+                    
+                    if (isDroppedTx(tx)) {
+                        return dropDepositTx(deposit.TxHash, deposit.Vout, tx.abandoned ? 'abandoned' : 'conflicted', ecb);
+                    }
+                    
+                    if (tx.confirmations === deposit.Confirmations) {
+                        return ecb(null, null);
+                    }
+                    
+                    return db.query('UPDATE Deposits SET Confirmations = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?', [tx.confirmations, deposit.Id], (uerr) => {
+                        ecb(uerr, null);
+                    });
+                });
+            }, (err) => {
+                cb(err);
+            });
+        }
     ], callback);
 };
 
 const confirmationsForTx = (txhash, callback) => {
-    request.post({ url: config.lbrycrd.rpcurl, json: { method: 'gettransaction', params: [txhash] } }, (err, res, body) => {
-        if (body.error) {
-            return callback(body.error, null);
+    lbrycrd.rpc('gettransaction', [txhash], (err, tx) => {
+        if (err) {
+            return callback(err, null);
         }
         
-        return callback(null, body.result.confirmations);
+        return callback(null, tx.confirmations);
     });
 };
 
-const processNewDeposits = (callback) => {
+const creditDeposit = (deposit, callback) => {
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                // checked again inside the transaction, the deposit may have been dropped since it was selected
+                conn.query('UPDATE Deposits SET Status = ?, Updated = UTC_TIMESTAMP() WHERE Id = ? AND Status = ?', [DepositStatus.Credited, deposit.Id, DepositStatus.Pending], cb);
+            },
+            (res, fields, cb) => {
+                if (res.affectedRows === 0) {
+                    return cb(null, false);
+                }
+                
+                return async.waterfall([
+                    (wcb) => {
+                        ledger.transfer(conn, ledger.SystemAccount.Wallet, deposit.UserId, deposit.Amount, {
+                            type: ledger.SourceType.Deposit,
+                            id: deposit.Id,
+                            actor: 'deposits',
+                            reason: `Deposit tx ${deposit.TxHash} confirmed`,
+                            correlationId: runLog.fields.correlationId
+                        }, wcb);
+                    },
+                    (transferId, wcb) => {
+                        conn.query('SELECT Balance FROM Users WHERE Id = ?', [deposit.UserId], wcb);
+                    },
+                    (res, fields, wcb) => {
+                        const messageText = templates.render('ondeposit.completed', {
+                            how_to_use_url: config.howToUseUrl,
+                            amount: deposit.Amount,
+                            balance: res[0].Balance,
+                            confirmations: deposit.RequiredConfirmations
+                        });
+                        messageQueue.enqueuePM(conn, deposit.Platform, deposit.Username, 'Deposit completed!', messageText, wcb);
+                    }
+                ], (err) => {
+                    cb(err, true);
+                });
+            }
+        ], tcb);
+    }, (err, credited) => {
+        if (!err && credited) {
+            runLog.info('Deposit credited', { depositId: deposit.Id, username: deposit.Username, amount: deposit.Amount });
+            metrics.deposits.inc({ outcome: 'credited' });
+        }
+        callback(err, true);
+    });
+};
+
+// Credit pending deposits that have the confirmations their amount requires
+const processConfirmedDeposits = (callback) => {
     async.waterfall([
         (cb) => {
-            request.post({ url: config.lbrycrd.rpcurl, json: { method: 'listtransactions', params: [config.lbrycrd.account, 1000] } }, cb);
+            db.query(['SELECT D.Id, D.UserId, D.TxHash, D.Amount, D.RequiredConfirmations, U.Platform, U.Username FROM Deposits D JOIN Users U ON U.Id = D.UserId ',
+                      'WHERE D.Status = ? AND D.Confirmations >= D.RequiredConfirmations ORDER BY D.Id'].join(''), [DepositStatus.Pending], cb);
         },
-        (res, body, cb) => {
-            if (body.error) {
-                return cb(body.error, null);
-            }
+        (res, fields, cb) => {
+            async.eachSeries(res, (deposit, ecb) => {
+                creditDeposit(deposit, ecb);
+            }, cb);
+        }
+    ], callback);
+};
+
+// lbrycrd errors which mean the transaction was not sent but may be sent later:
+// insufficient funds (-6), wallet locked (-13) and warming up (-28)
+const retriableSendErrorCodes = [-6, -13, -28];
+
+const claimWithdrawal = (withdrawalId, callback) => {
+    // not if the user was frozen since the withdrawals were read
+    db.query(['UPDATE Withdrawals W JOIN Users U ON U.Id = W.UserId SET W.Status = ?, W.Sent = UTC_TIMESTAMP(), W.Updated = UTC_TIMESTAMP() ',
+              'WHERE W.Id = ? AND W.Status = ? AND U.Frozen IS NULL'].join(''),
+             [WithdrawalStatus.Broadcasting, withdrawalId, WithdrawalStatus.Requested], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+        
+        return callback(null, res.affectedRows === 1);
+    });
+};
+
+// put a withdrawal that was definitely not sent back in the queue
+const releaseWithdrawal = (withdrawalId, callback) => {
+    db.query('UPDATE Withdrawals SET Status = ?, Sent = NULL, Updated = UTC_TIMESTAMP() WHERE Id = ? AND Status = ?',
+             [WithdrawalStatus.Requested, withdrawalId, WithdrawalStatus.Broadcasting], callback);
+};
+
+// the network fee the hot wallet paid for a transaction it sent
+const feeForTx = (txhash, callback) => {
+    lbrycrd.rpc('gettransaction', [txhash], (err, tx) => {
+        if (err) {
+            return callback(err, null);
+        }
+        
+        return callback(null, Math.abs(tx.fee || 0));
+    });
+};
+
+const completeBroadcastWithdrawal = (withdrawal, txhash, callback) => {
+    feeForTx(txhash, (ferr, fee) => {
+        if (ferr) {
+            // the withdrawal has been sent, so record it anyway
+            withdrawalLog(withdrawal).warn('Could not retrieve the fee of the withdrawal', { txhash, err: ferr });
+        }
+        
+        db.transaction((conn, tcb) => {
+            async.waterfall([
+                (cb) => {
+                    conn.query('UPDATE Withdrawals SET Status = ?, TxHash = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?', [WithdrawalStatus.Broadcast, txhash, withdrawal.Id], cb);
+                },
+                (res, fields, cb) => {
+                    if (!fee) {
+                        return cb(null, null);
+                    }
+                    
+                    // the fee comes out of the hot wallet, not the user's balance
+                    return ledger.transfer(conn, ledger.SystemAccount.Fees, ledger.SystemAccount.Wallet, fee.toFixed(8), { type: ledger.SourceType.Fee, id: withdrawal.Id }, cb);
+                },
+                (transferId, cb) => {
+                    const messageText = templates.render('onwithdraw', { how_to_use_url: config.howToUseUrl, address: withdrawal.Address, amount: withdrawal.Amount, txid: txhash });
+                    if (withdrawal.FullId) {
+                        return messageQueue.enqueueReply(conn, withdrawal.Platform, withdrawal.FullId, messageText, cb);
+                    }
+                    
+                    return messageQueue.enqueuePM(conn, withdrawal.Platform, withdrawal.Username, 'Withdrawal sent', messageText, cb);
+                }
+            ], (err) => {
+                tcb(err, true);
+            });
+        }, callback);
+    });
+};
+
+const failWithdrawal = (withdrawal, reason, callback) => {
+    db.transaction((conn, tcb) => {
+        withdrawals.refundWithdrawal(conn, withdrawal.Id, 'deposits', reason, (err) => {
+            tcb(err, true);
+        });
+    }, callback);
+};
 
-            // simply insert the deposits
-            return async.each(body.result, (tx, ecb) => {
-                if (tx.amount <= 0) {
-                    return ecb(null, null);   
+const broadcastWithdrawal = (withdrawal, callback) => {
+    const log = withdrawalLog(withdrawal);
+    async.waterfall([
+        (cb) => {
+            withdrawals.sentInLastDay(db, cb);
+        },
+        (sentAmount, cb) => {
+            if (sentAmount + parseFloat(withdrawal.Amount) > config.withdrawals.globalDailyLimit) {
+                // leave it requested until enough of the daily hot wallet allowance is available again
+                log.info('Withdrawal postponed, it would exceed the daily limit', { amount: withdrawal.Amount, limit: config.withdrawals.globalDailyLimit, sentAmount });
+                metrics.withdrawalBroadcasts.inc({ outcome: 'postponed' });
+                return cb(null, false);
+            }
+            
+            // claim the withdrawal, once Broadcasting it is never sent again automatically
+            return claimWithdrawal(withdrawal.Id, cb);
+        },
+        (claimed, cb) => {
+            if (!claimed) {
+                return cb(null, null);
+            }
+            
+            return lbrycrd.rpc('sendfrom', [config.lbrycrd.account, withdrawal.Address, withdrawal.Amount], (err, txhash) => {
+                if (!err) {
+                    log.info('Withdrawal broadcast', { amount: withdrawal.Amount, address: withdrawal.Address, txhash });
+                    metrics.withdrawalBroadcasts.inc({ outcome: 'sent' });
+                    return completeBroadcastWithdrawal(withdrawal, txhash, (cerr) => {
+                        if (cerr) {
+                            log.error('Withdrawal was broadcast but could not be updated, it needs operator attention', { txhash, err: cerr });
+                        }
+                        cb(cerr, null);
+                    });
                 }
-                return createDeposit(tx.address, tx.txid, tx.amount, tx.confirmations, ecb);
-            }, cb);
+                
+                if (err.code === 'ECONNREFUSED' || (err.code === 'TIMEOUT' && err.connect)) {
+                    // lbrycrd never received the request
+                    metrics.withdrawalBroadcasts.inc({ outcome: 'retry' });
+                    return releaseWithdrawal(withdrawal.Id, () => cb(err, null));
+                }
+                
+                if (typeof err.code !== 'number') {
+                    // the transaction may or may not have been sent, as when lbrycrd did not answer in time. Leave it
+                    // in Broadcasting for an operator
+                    log.error('Withdrawal is in an unknown state after a failed sendfrom call, it needs operator attention', { err });
+                    metrics.withdrawalBroadcasts.inc({ outcome: 'unknown' });
+                    return cb(err, null);
+                }
+                
+                if (retriableSendErrorCodes.indexOf(err.code) > -1) {
+                    metrics.withdrawalBroadcasts.inc({ outcome: 'retry' });
+                    return releaseWithdrawal(withdrawal.Id, () => cb(err, null));
+                }
+                
+                // lbrycrd rejected the transaction, refund the user
+                log.warn('Withdrawal was rejected by lbrycrd and is refunded', { err });
+                metrics.withdrawalBroadcasts.inc({ outcome: 'rejected' });
+                return failWithdrawal(withdrawal, err.message, cb);
+            });
         }
     ], callback);
 };
 
-// deposits with confirmations < 3
-const processPendingDeposits = (callback) => {
+// Put the requested withdrawals of frozen users back on hold, an operator approves them again once the user is unfrozen
+const holdFrozenWithdrawals = (callback) => {
+    db.query(['UPDATE Withdrawals W JOIN Users U ON U.Id = W.UserId SET W.Status = ?, W.Updated = UTC_TIMESTAMP() ',
+              'WHERE W.Status = ? AND U.Frozen IS NOT NULL'].join(''), [WithdrawalStatus.Held, WithdrawalStatus.Requested], (err, res) => {
+        if (err) {
+            return callback(err);
+        }
+
+        if (res.affectedRows > 0) {
+            runLog.warn('Withdrawals of frozen users held', { count: res.affectedRows });
+        }
+        return callback(null);
+    });
+};
+
+const processRequestedWithdrawals = (callback) => {
     async.waterfall([
         (cb) => {
-            db.query('SELECT Id, TxHash FROM Deposits WHERE Confirmations < 3', cb);
+            holdFrozenWithdrawals(cb);
+        },
+        (cb) => {
+            settings.get(db, settings.Setting.WithdrawalsPaused, cb);
+        },
+        (paused, cb) => {
+            if (paused !== null) {
+                runLog.info('Withdrawals are paused', { reason: paused });
+                return cb(null, [], null);
+            }
+            
+            return db.query(['SELECT W.Id, W.Address, W.Amount, W.CorrelationId, U.Platform, U.Username, M.FullId FROM Withdrawals W JOIN Users U ON U.Id = W.UserId ',
+                             'LEFT JOIN Messages M ON M.Id = W.MessageId WHERE W.Status = ? AND U.Frozen IS NULL ORDER BY W.Id'].join(''), [WithdrawalStatus.Requested], cb);
         },
         (res, fields, cb) => {
-            if (res.length === 0) {
-                return cb(null, []);
+            // one at a time, a failure does not hold up the other withdrawals
+            async.eachSeries(res, (withdrawal, ecb) => {
+                broadcastWithdrawal(withdrawal, (err) => {
+                    if (err) {
+                        withdrawalLog(withdrawal).error('Could not broadcast the withdrawal', { err });
+                    }
+                    ecb();
+                });
+            }, cb);
+        },
+        (cb) => {
+            db.query('SELECT Id FROM Withdrawals WHERE Status = ? AND Updated < DATE_SUB(UTC_TIMESTAMP(), INTERVAL 10 MINUTE)', [WithdrawalStatus.Broadcasting], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length > 0) {
+                runLog.error('Withdrawals stuck in Broadcasting, check them against the wallet', { withdrawalIds: res.map((withdrawal) => withdrawal.Id) });
             }
             
-            return async.each(res, (deposit, ecb) => {
-                confirmationsForTx(deposit.TxHash, (err, confirmations) => {
+            return cb(null, true);
+        }
+    ], callback);
+};
+
+// Update the confirmations of a broadcast withdrawal, it is confirmed once it has config.withdrawals.confirmations
+const trackWithdrawal = (withdrawal, callback) => {
+    confirmationsForTx(withdrawal.TxHash, (err, confirmations) => {
+        if (err) {
+            return callback(err, null);
+        }
+        
+        if (confirmations < 0) {
+            withdrawalLog(withdrawal).error('Withdrawal transaction is conflicted, it needs operator attention', { txhash: withdrawal.TxHash });
+            return callback(null, null);
+        }
+        
+        const status = confirmations >= config.withdrawals.confirmations ? WithdrawalStatus.Confirmed : WithdrawalStatus.Broadcast;
+        return db.query('UPDATE Withdrawals SET Confirmations = ?, Status = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?', [confirmations, status, withdrawal.Id], callback);
+    });
+};
+
+// withdrawals that have been broadcast but do not have enough confirmations yet
+const processBroadcastWithdrawals = (callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query('SELECT Id, TxHash, CorrelationId FROM Withdrawals WHERE Status = ?', [WithdrawalStatus.Broadcast], cb);
+        },
+        (res, fields, cb) => {
+            // one at a time, a failure does not hold up the other withdrawals
+            async.eachSeries(res, (withdrawal, ecb) => {
+                trackWithdrawal(withdrawal, (err) => {
                     if (err) {
-                        return ecb(err, null);
+                        withdrawalLog(withdrawal).error('Could not update the confirmations of the withdrawal', { err });
                     }
-                    
-                    db.query('UPDATE Deposits SET Confirmations = ? WHERE Id = ?', [confirmations, deposit.Id], ecb);
+                    ecb();
                 });
             }, cb);
         }
-    ], callback);  
+    ], callback);
 };
 
-const runProcess = () => {
+// Withdrawals the users have been debited for which have not left the wallet yet
+const pendingWithdrawalStatuses = [WithdrawalStatus.Held, WithdrawalStatus.Requested, WithdrawalStatus.Broadcasting];
+
+let lastReconciliation = 0;
+
+const pauseWithdrawals = (snapshot, callback) => {
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                settings.set(conn, settings.Setting.WithdrawalsPaused, `Wallet short by ${snapshot.shortfall} LBC at reconciliation`, cb);
+            },
+            (cb) => {
+                const messageText = templates.render('onreconciliation.alert', {
+                    account: config.lbrycrd.account,
+                    wallet_balance: snapshot.walletBalance,
+                    uncredited_deposits: snapshot.uncreditedDeposits,
+                    user_balances: snapshot.userBalances,
+                    pending_withdrawals: snapshot.pendingWithdrawals,
+                    liabilities: snapshot.liabilities,
+                    shortfall: snapshot.shortfall
+                });
+                messageQueue.alertOperators(conn, 'Wallet reconciliation failed', messageText, cb);
+            }
+        ], (err) => {
+            tcb(err, true);
+        });
+    }, callback);
+};
+
+// Compare what the wallet account holds with what the users are owed. A shortfall above the threshold
+// pauses withdrawals and alerts the operators, withdrawals stay paused until an operator resumes them.
+const reconcileWallet = (callback) => {
+    const snapshot = {};
+    const minConfirmations = deposits.minimumConfirmations();
     async.waterfall([
         (cb) => {
-            console.log('Processing new deposits.');
-            processNewDeposits(cb);
+            // No deposit is credited with fewer confirmations, so the balance leaves those out. It still includes
+            // the deposits waiting for the confirmations of a higher tier, which are taken off below.
+            lbrycrd.rpc('getbalance', [config.lbrycrd.account, minConfirmations], cb);
+        },
+        (walletBalance, cb) => {
+            snapshot.walletBalance = parseFloat(walletBalance).toFixed(8);
+            db.query(['SELECT (SELECT COALESCE(SUM(Balance), 0) FROM Users) AS UserBalances, ',
+                      '(SELECT COALESCE(SUM(Amount), 0) FROM Withdrawals WHERE Status IN (?)) AS PendingWithdrawals, ',
+                      '(SELECT COALESCE(SUM(Amount), 0) FROM Deposits WHERE Status = ? AND Confirmations >= ?) AS UncreditedDeposits'].join(''),
+                     [pendingWithdrawalStatuses, DepositStatus.Pending, minConfirmations], cb);
+        },
+        (res, fields, cb) => {
+            snapshot.userBalances = parseFloat(res[0].UserBalances).toFixed(8);
+            snapshot.pendingWithdrawals = parseFloat(res[0].PendingWithdrawals).toFixed(8);
+            snapshot.uncreditedDeposits = parseFloat(res[0].UncreditedDeposits).toFixed(8);
+            snapshot.liabilities = (parseFloat(snapshot.userBalances) + parseFloat(snapshot.pendingWithdrawals)).toFixed(8);
+            snapshot.discrepancy = (parseFloat(snapshot.walletBalance) - parseFloat(snapshot.uncreditedDeposits) - parseFloat(snapshot.liabilities)).toFixed(8);
+            snapshot.shortfall = Math.max(0, -parseFloat(snapshot.discrepancy)).toFixed(8);
+            settings.get(db, settings.Setting.WithdrawalsPaused, cb);
         },
+        (paused, cb) => {
+            snapshot.alreadyPaused = paused !== null;
+            snapshot.pause = !snapshot.alreadyPaused && parseFloat(snapshot.shortfall) > config.reconciliation.threshold;
+            db.query(['INSERT INTO ReconciliationSnapshots (WalletBalance, UncreditedDeposits, UserBalances, PendingWithdrawals, Discrepancy, WithdrawalsPaused, Created) ',
+                      'VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())'].join(''),
+                     [snapshot.walletBalance, snapshot.uncreditedDeposits, snapshot.userBalances, snapshot.pendingWithdrawals, snapshot.discrepancy, (snapshot.alreadyPaused || snapshot.pause) ? 1 : 0], cb);
+        },
+        (res, fields, cb) => {
+            runLog.info('Wallet reconciled', { walletBalance: snapshot.walletBalance, uncreditedDeposits: snapshot.uncreditedDeposits, liabilities: snapshot.liabilities, discrepancy: snapshot.discrepancy });
+            if (!snapshot.pause) {
+                return cb(null, true);
+            }
+            
+            runLog.error('Wallet is short, pausing withdrawals', { shortfall: snapshot.shortfall });
+            return pauseWithdrawals(snapshot, cb);
+        }
+    ], callback);
+};
+
+const processReconciliation = (callback) => {
+    if (Date.now() - lastReconciliation < config.reconciliation.interval * 1000) {
+        return callback(null, false);
+    }
+    
+    return reconcileWallet((err) => {
+        if (err) {
+            return callback(err, null);
+        }
+        
+        lastReconciliation = Date.now();
+        return callback(null, true);
+    });
+};
+
+// One pass over deposits, withdrawals and the reconciliation
+const runOnce = (callback) => {
+    runLog = logger.child({ correlationId: logger.newCorrelationId() });
+    async.waterfall([
         (cb) => {
-            console.log('Processing pending deposits.');
-            processPendingDeposits(cb);
+            runLog.debug('Processing new deposits');
+            processNewDeposits((err) => {
+                cb(err);
+            });
+        },
+        (cb) => {
+            runLog.debug('Processing pending deposits');
+            processPendingDeposits((err) => {
+                cb(err);
+            });
+        },
+        (cb) => {
+            runLog.debug('Processing confirmed deposits');
+            processConfirmedDeposits(cb);
+        },
+        (cb) => {
+            runLog.debug('Processing requested withdrawals');
+            processRequestedWithdrawals((err) => {
+                cb(err);
+            });
+        },
+        (cb) => {
+            runLog.debug('Processing broadcast withdrawals');
+            processBroadcastWithdrawals((err) => {
+                cb(err);
+            });
+        },
+        (cb) => {
+            processReconciliation((err) => {
+                cb(err);
+            });
         }
     ], (err) => {
         if (err) {
-            console.log('Error occurred.');
-            console.log(err);
+            runLog.error('Deposit run failed', { err });
+            return callback();
         }
         
+        // for the health check of the HTTP API
+        return settings.set(db, settings.Setting.DepositsLastRun, new Date().toISOString(), (perr) => {
+            if (perr) {
+                runLog.error('Could not record the deposit run', { err: perr });
+            }
+            callback();
+        });
+    });
+};
+
+const runProcess = () => {
+    runOnce(() => {
         // run again in 1 minute
-        console.log('Waiting 1 minute...');
+        logger.debug('Waiting 1 minute');
         setTimeout(runProcess, 60000);
     });
 };
 
-runProcess();
\ No newline at end of file
+if (require.main === module) {
+    if (config.httpApi.depositsMetricsPort) {
+        metrics.serve(config.httpApi.depositsMetricsPort, (err) => {
+            if (err) {
+                // deposits are still processed without it
+                logger.error('Could not serve metrics', { err });
+            }
+        });
+    }
+
+    runProcess();
+}
+
+module.exports = {
+    runOnce
+};
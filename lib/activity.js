@@ -0,0 +1,32 @@
+// A user's recent activity, for the history command and the HTTP API
+const async = require('async');
+const GildStatus = require('./gilds').GildStatus;
+
+// The latest count tips sent or received, deposits and withdrawals of a user as { tips, deposits, withdrawals }, newest first.
+// Gilds the platform refused are left out.
+const recent = (db, userId, count, callback) => {
+    async.series({
+        tips: (cb) => {
+            db.query(['SELECT T.SenderId, T.Amount, T.AmountUsd, T.IsGild, T.ReversalOfTipId, T.Created, S.Username AS Sender, R.Username AS Recipient FROM Tips T ',
+                      'JOIN Users S ON S.Id = T.SenderId JOIN Users R ON R.Id = T.RecipientId ',
+                      'WHERE (T.SenderId = ? OR T.RecipientId = ?) AND (T.GildStatus IS NULL OR T.GildStatus <> ?) ORDER BY T.Id DESC LIMIT ?'].join(''),
+                     [userId, userId, GildStatus.Failed, count], (err, res) => {
+                cb(err, res);
+            });
+        },
+        deposits: (cb) => {
+            db.query('SELECT Amount, Confirmations, RequiredConfirmations, Status, TxHash, Created FROM Deposits WHERE UserId = ? ORDER BY Id DESC LIMIT ?', [userId, count], (err, res) => {
+                cb(err, res);
+            });
+        },
+        withdrawals: (cb) => {
+            db.query('SELECT Amount, Address, Status, TxHash, Created FROM Withdrawals WHERE UserId = ? ORDER BY Id DESC LIMIT ?', [userId, count], (err, res) => {
+                cb(err, res);
+            });
+        }
+    }, callback);
+};
+
+module.exports = {
+    recent
+};
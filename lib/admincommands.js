@@ -0,0 +1,239 @@
+// Operator commands sent to the bot by PM. Only the reddit users in config.operators can use them, and every
+// command is recorded in AdminActions with what the operator was told.
+//   admin balance u/<user>                         show the balance, deposit address and whether the user is frozen
+//   admin adjust u/<user> <+|-amount> lbc <reason>  credit or debit the user through the adjustments account
+//   admin freeze u/<user> [reason]                 refuse the user's tips, gilds and withdrawals
+//   admin unfreeze u/<user>                        let the user tip, gild and withdraw again
+//   admin stats                                    users, balances, recent tips and what is waiting on the wallet
+//   admin approve-withdrawal <id>                  release a held withdrawal to the withdrawal worker
+const async = require('async');
+const botStats = require('./stats');
+const config = require('../config/config');
+const ledger = require('./ledger');
+const logger = require('./logger');
+const platforms = require('./platforms');
+const withdrawals = require('./withdrawals');
+const WithdrawalStatus = withdrawals.WithdrawalStatus;
+
+const adjustmentRegex = /^([+-])(\d+(?:\.\d{1,8})?)$/;
+
+const isOperator = (message) => {
+    return message.platform === platforms.Platform.Reddit &&
+           config.operators.some((operator) => operator.toLowerCase() === String(message.author).toLowerCase());
+};
+
+// A mistake in the command, which the operator is told about instead of the transaction failing
+const invalidCommand = (text) => {
+    const error = new Error(text);
+    error.code = 'INVALID_COMMAND';
+    return error;
+};
+
+// The user a mention refers to, locked for the rest of the transaction
+const findUser = (conn, adapter, mention, callback) => {
+    const match = new RegExp(`^${adapter.mentionPattern}$`, 'i').exec(mention || '');
+    if (!match) {
+        return callback(invalidCommand(`${mention || 'Nothing'} is not a user.`), null);
+    }
+
+    return conn.query('SELECT Id, Username, Balance, DepositAddress, Frozen, FrozenReason FROM Users WHERE Platform = ? AND Username = ? FOR UPDATE',
+                      [adapter.name, match[1]], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (res.length === 0) {
+            return callback(invalidCommand(`${adapter.mention(match[1])} has never used the bot.`), null);
+        }
+
+        return callback(null, res[0]);
+    });
+};
+
+const balance = (conn, context, args, callback) => {
+    findUser(conn, context.adapter, args[0], (err, user) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        const frozen = user.Frozen ? ` Frozen since ${user.Frozen.toISOString()}: ${user.FrozenReason || 'no reason given'}.` : '';
+        return callback(null, {
+            userId: user.Id,
+            text: `${context.adapter.mention(user.Username)} has ${user.Balance} LBC. Deposit address: ${user.DepositAddress || 'none'}.${frozen}`
+        });
+    });
+};
+
+const adjust = (conn, context, args, callback) => {
+    const amount = adjustmentRegex.exec(args[1] || '');
+    const reason = args.slice(3).join(' ');
+    if (!amount || parseFloat(amount[2]) <= 0 || String(args[2]).toLowerCase() !== 'lbc' || reason.length === 0) {
+        return callback(invalidCommand('Usage: admin adjust u/<user> <+|-amount> lbc <reason>'), null);
+    }
+
+    const credit = amount[1] === '+';
+    return async.waterfall([
+        (cb) => {
+            findUser(conn, context.adapter, args[0], cb);
+        },
+        (user, cb) => {
+            const from = credit ? ledger.SystemAccount.Adjustments : user.Id;
+            const to = credit ? user.Id : ledger.SystemAccount.Adjustments;
+            const source = { type: ledger.SourceType.Adjustment, id: context.actionId, actor: ledger.userActor(context.adapter.name, context.operator), reason,
+                             correlationId: context.correlationId };
+            ledger.transfer(conn, from, to, amount[2], source, (err) => {
+                if (err && err.code === 'INSUFFICIENT_FUNDS') {
+                    return cb(invalidCommand(`${context.adapter.mention(user.Username)} only has ${user.Balance} LBC.`), null);
+                }
+
+                return cb(err, user);
+            });
+        },
+        (user, cb) => {
+            conn.query('SELECT Balance FROM Users WHERE Id = ?', [user.Id], (err, res) => {
+                if (err) {
+                    return cb(err, null);
+                }
+
+                context.log.info('Balance adjusted', { operator: context.operator, username: user.Username, amount: args[1], reason });
+                return cb(null, {
+                    userId: user.Id,
+                    text: `Adjusted ${context.adapter.mention(user.Username)} by ${amount[1]}${amount[2]} LBC (${reason}). The balance is now ${res[0].Balance} LBC.`
+                });
+            });
+        }
+    ], callback);
+};
+
+const freeze = (conn, context, args, callback) => {
+    const reason = args.slice(1).join(' ') || null;
+    async.waterfall([
+        (cb) => {
+            findUser(conn, context.adapter, args[0], cb);
+        },
+        (user, cb) => {
+            if (user.Frozen) {
+                return cb(invalidCommand(`${context.adapter.mention(user.Username)} is already frozen.`), null);
+            }
+
+            return conn.query('UPDATE Users SET Frozen = UTC_TIMESTAMP(), FrozenReason = ? WHERE Id = ?', [reason, user.Id], (err) => {
+                cb(err, { userId: user.Id, text: `${context.adapter.mention(user.Username)} is frozen.` });
+            });
+        }
+    ], callback);
+};
+
+const unfreeze = (conn, context, args, callback) => {
+    async.waterfall([
+        (cb) => {
+            findUser(conn, context.adapter, args[0], cb);
+        },
+        (user, cb) => {
+            if (!user.Frozen) {
+                return cb(invalidCommand(`${context.adapter.mention(user.Username)} is not frozen.`), null);
+            }
+
+            return conn.query('UPDATE Users SET Frozen = NULL, FrozenReason = NULL WHERE Id = ?', [user.Id], (err) => {
+                cb(err, { userId: user.Id, text: `${context.adapter.mention(user.Username)} is no longer frozen.` });
+            });
+        }
+    ], callback);
+};
+
+const stats = (conn, context, args, callback) => {
+    botStats.collect(conn, (err, totals) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        const paused = (reason) => reason === null ? 'running' : `paused (${reason})`;
+        return callback(null, {
+            userId: null,
+            text: [`Users: ${totals.users} (${totals.frozenUsers} frozen), holding ${totals.balances} LBC.`,
+                   `Tips in the last day: ${totals.tips} for ${totals.tipAmount} LBC.`,
+                   `Pending deposits: ${totals.pendingDeposits}. Pending withdrawals: ${totals.pendingWithdrawals}. Held withdrawals: ${totals.heldWithdrawals}.`,
+                   `Pending gilds: ${totals.pendingGilds}.`,
+                   `Queued messages: ${totals.queuedMessages}.`,
+                   `Tipping: ${paused(totals.tippingPaused)}. Withdrawals: ${paused(totals.withdrawalsPaused)}.`].join('\n\n')
+        });
+    });
+};
+
+const approveWithdrawal = (conn, context, args, callback) => {
+    const withdrawalId = parseInt(args[0], 10);
+    async.waterfall([
+        (cb) => {
+            conn.query('SELECT W.UserId, W.Amount, W.Address, W.Status, U.Username, U.Frozen FROM Withdrawals W JOIN Users U ON U.Id = W.UserId WHERE W.Id = ? FOR UPDATE',
+                       [withdrawalId], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length === 0 || res[0].Status !== WithdrawalStatus.Held) {
+                return cb(invalidCommand(`Withdrawal ${args[0]} is not held for approval.`), null);
+            }
+            if (res[0].Frozen) {
+                return cb(invalidCommand(`Withdrawal ${args[0]} is by ${context.adapter.mention(res[0].Username)}, who is frozen. Unfreeze them first.`), null);
+            }
+
+            const withdrawal = res[0];
+            return withdrawals.approveWithdrawal(conn, withdrawalId, context.operator, (err) => {
+                cb(err, {
+                    userId: withdrawal.UserId,
+                    text: `Withdrawal ${withdrawalId} of ${withdrawal.Amount} LBC by ${context.adapter.mention(withdrawal.Username)} to ${withdrawal.Address} is approved.`
+                });
+            });
+        }
+    ], callback);
+};
+
+const commands = {
+    'balance': { run: balance, args: 1 },
+    'adjust': { run: adjust, args: 4 },
+    'freeze': { run: freeze, args: 1 },
+    'unfreeze': { run: unfreeze, args: 1 },
+    'stats': { run: stats, args: 0 },
+    'approve-withdrawal': { run: approveWithdrawal, args: 1 }
+};
+
+// Run the command in body ("admin <command> [arguments]") from message, recorded as messageId. Must be called
+// inside a transaction on conn. Calls back with the text to reply to the operator with.
+const run = (conn, message, messageId, body, callback) => {
+    const words = body.trim().split(/\s+/);
+    const name = (words[1] || '').toLowerCase();
+    const args = words.slice(2);
+    const context = { adapter: platforms.get(message.platform), operator: message.author, correlationId: message.correlationId, log: logger.forMessage(message) };
+    async.waterfall([
+        (cb) => {
+            conn.query('INSERT INTO AdminActions (MessageId, Operator, Command, Arguments, Created) VALUES (?, ?, ?, ?, UTC_TIMESTAMP())',
+                       [messageId, message.author, name.substring(0, 30), args.join(' ').substring(0, 255)], cb);
+        },
+        (res, fields, cb) => {
+            context.actionId = res.insertId;
+            const command = commands[name];
+            if (!command || args.length < command.args) {
+                return cb(null, { succeeded: false, userId: null, text: `Usage: admin <${Object.keys(commands).join('|')}> [arguments]` });
+            }
+
+            return command.run(conn, context, args, (err, result) => {
+                if (err && err.code === 'INVALID_COMMAND') {
+                    return cb(null, { succeeded: false, userId: null, text: err.message });
+                }
+                if (err) {
+                    return cb(err, null);
+                }
+
+                return cb(null, Object.assign({ succeeded: true }, result));
+            });
+        },
+        (result, cb) => {
+            conn.query('UPDATE AdminActions SET TargetUserId = ?, Succeeded = ?, Result = ? WHERE Id = ?',
+                       [result.userId, result.succeeded ? 1 : 0, result.text.substring(0, 255), context.actionId], (err) => {
+                cb(err, result.text);
+            });
+        }
+    ], callback);
+};
+
+module.exports = {
+    isOperator,
+    run
+};
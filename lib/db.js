@@ -0,0 +1,81 @@
+// Pooled MariaDB access. Queries that can run on any connection go through query, work that has to be
+// atomic runs in transaction on a connection of its own so nothing else can interleave with it.
+const config = require('../config/config');
+const mysql = require('mysql');
+
+const pool = mysql.createPool({
+    connectionLimit: config.mariadb.connectionLimit,
+    host: config.mariadb.host,
+    user: config.mariadb.username,
+    password: config.mariadb.password,
+    database: config.mariadb.database,
+    charset: 'utf8mb4',
+    timezone: 'Z'
+});
+
+// A connection that had a fatal error cannot be reused
+const release = (conn, err) => {
+    if (err && err.fatal) {
+        return conn.destroy();
+    }
+
+    return conn.release();
+};
+
+// Run a single query on any free connection
+const query = (sql, values, callback) => {
+    pool.query(sql, values, callback);
+};
+
+/**
+ * Run work(conn, cb) in a transaction on a connection checked out for it. The transaction is committed
+ * if work calls back without an error and rolled back otherwise, and the connection is released either
+ * way. Calls back with the result work called back with.
+ */
+const transaction = (work, callback) => {
+    pool.getConnection((err, conn) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return conn.beginTransaction((berr) => {
+            if (berr) {
+                release(conn, berr);
+                return callback(berr, null);
+            }
+
+            const rollback = (werr) => {
+                conn.rollback(() => {
+                    release(conn, werr);
+                    callback(werr, null);
+                });
+            };
+
+            return work(conn, (werr, result) => {
+                if (werr) {
+                    return rollback(werr);
+                }
+
+                return conn.commit((cerr) => {
+                    if (cerr) {
+                        return rollback(cerr);
+                    }
+
+                    release(conn, null);
+                    return callback(null, result);
+                });
+            });
+        });
+    });
+};
+
+// Close every connection, for the command line tools
+const end = (callback) => {
+    pool.end(callback);
+};
+
+module.exports = {
+    end,
+    query,
+    transaction
+};
@@ -0,0 +1,36 @@
+// Deposit states and confirmation policy shared by the chat handler and the deposit processor in deposits.js
+//
+// Pending -> Credited -> Reversed (debited again after the transaction disappeared)
+//    |           |
+//    |           +-> Disputed (disappeared, but the user no longer has the funds)
+//    +-> Conflicted (disappeared before it was credited)
+const config = require('../config/config');
+
+const DepositStatus = {
+    Pending: 0,
+    Credited: 1,
+    Conflicted: 2,
+    Reversed: 3,
+    Disputed: 4
+};
+
+// The fewest and the most confirmations any deposit is credited with
+const minimumConfirmations = () => Math.min.apply(null, config.deposits.confirmationPolicy.map((policy) => policy.confirmations));
+const maximumConfirmations = () => Math.max.apply(null, config.deposits.confirmationPolicy.map((policy) => policy.confirmations));
+
+/**
+ * Confirmations a deposit of amount LBC needs before it is credited. config.deposits.confirmationPolicy
+ * lists tiers in ascending order of amount, the first tier the amount is below applies and a tier
+ * without a limit applies to everything above the others. An amount no tier covers, when the policy
+ * has no tier without a limit, needs as many confirmations as the strictest tier.
+ */
+const requiredConfirmations = (amount) => {
+    const tier = config.deposits.confirmationPolicy.find((policy) => policy.below === undefined || parseFloat(amount) < policy.below);
+    return tier ? tier.confirmations : maximumConfirmations();
+};
+
+module.exports = {
+    DepositStatus,
+    minimumConfirmations,
+    requiredConfirmations
+};
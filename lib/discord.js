@@ -0,0 +1,168 @@
+// Discord REST API client. Requests are sent one at a time and a rate limited request (429) is retried
+// after the delay Discord asks for. Reads that failed in transit or on the server are retried with backoff,
+// a message that was posted may have been sent anyway so it is not posted again.
+const async = require('async');
+const config = require('../config/config');
+const logger = require('./logger');
+const request = require('request');
+
+// Discord rejects messages longer than this
+const maxMessageLength = 2000;
+
+// Errors that will not go away by retrying the same request: unknown channel, message or user,
+// missing access, and a user who does not accept DMs from the bot
+const permanentErrorCodes = [10003, 10008, 10013, 50001, 50007];
+
+class DiscordApiError extends Error {
+    constructor(code, message, statusCode) {
+        super(`${code}: ${message}`);
+        this.name = 'DiscordApiError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.permanent = permanentErrorCodes.indexOf(code) > -1;
+    }
+}
+
+const requestQueue = async.queue((task, callback) => {
+    request(task.options, (err, res, body) => {
+        task.callback(err, res, body);
+        callback();
+    });
+}, 1);
+
+// Send a request to the Discord API and return the parsed JSON response
+const apiRequest = (method, path, json, callback) => {
+    const options = {
+        method,
+        url: `${config.discord.apiUrl}${path}`,
+        headers: { 'Authorization': `Bot ${config.discord.token}`, 'User-Agent': config.userAgent },
+        json: json || true
+    };
+
+    let attempt = 0;
+    const send = () => {
+        attempt++;
+        requestQueue.push({ options, callback: (err, res, body) => {
+            const retriable = method === 'GET' ? (err || res.statusCode >= 500 || res.statusCode === 429) : (!err && res.statusCode === 429);
+            if (retriable && attempt <= config.discord.maxRetries) {
+                // retry_after is in seconds
+                const delay = (!err && res.statusCode === 429 && body && body.retry_after) ?
+                    Math.ceil(body.retry_after * 1000) : config.discord.retryDelay * Math.pow(2, attempt - 1);
+                logger.warn('Discord request failed, retrying', { method, path, statusCode: res ? res.statusCode : null, err, delay });
+                return setTimeout(send, delay);
+            }
+
+            if (err) {
+                return callback(err, null);
+            }
+
+            if (res.statusCode >= 400) {
+                const code = (body && body.code) || res.statusCode;
+                return callback(new DiscordApiError(code, (body && body.message) || `HTTP ${res.statusCode}`, res.statusCode), null);
+            }
+
+            return callback(null, body);
+        } });
+    };
+
+    send();
+};
+
+// Messages in a channel posted after the message id, oldest first
+const getChannelMessages = (channelId, afterMessageId, callback) => {
+    const after = afterMessageId ? `&after=${afterMessageId}` : '';
+    apiRequest('GET', `/channels/${channelId}/messages?limit=${config.discord.batchSize}${after}`, null, (err, messages) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        // returned newest first
+        return callback(null, (messages || []).slice().reverse());
+    });
+};
+
+const getChannelMessage = (channelId, messageId, callback) => {
+    apiRequest('GET', `/channels/${channelId}/messages/${messageId}`, null, callback);
+};
+
+// The user with the id, or null if there is no such user
+const getUser = (userId, callback) => {
+    apiRequest('GET', `/users/${userId}`, null, (err, user) => {
+        if (err) {
+            if (err.statusCode === 404 || err.code === 10013) {
+                return callback(null, null);
+            }
+            return callback(err, null);
+        }
+
+        return callback(null, user);
+    });
+};
+
+// Long messages are split on line breaks into as many messages as needed
+const splitMessage = (messageText) => {
+    const parts = [];
+    let current = '';
+    String(messageText).split('\n').forEach((line) => {
+        while (line.length > maxMessageLength) {
+            if (current.length > 0) {
+                parts.push(current);
+                current = '';
+            }
+            parts.push(line.substring(0, maxMessageLength));
+            line = line.substring(maxMessageLength);
+        }
+
+        const next = current.length > 0 ? `${current}\n${line}` : line;
+        if (next.length > maxMessageLength) {
+            parts.push(current);
+            current = line;
+        } else {
+            current = next;
+        }
+    });
+    if (current.length > 0) {
+        parts.push(current);
+    }
+
+    return parts;
+};
+
+// Post a message to a channel, as a reply to replyToMessageId if it is set
+const createMessage = (channelId, replyToMessageId, messageText, callback) => {
+    async.eachOfSeries(splitMessage(messageText), (content, i, ecb) => {
+        const json = { content, allowed_mentions: { parse: ['users'] } };
+        if (replyToMessageId && i === 0) {
+            json.message_reference = { message_id: replyToMessageId, fail_if_not_exists: false };
+        }
+        apiRequest('POST', `/channels/${channelId}/messages`, json, ecb);
+    }, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const sendDirectMessage = (userId, messageText, callback) => {
+    async.waterfall([
+        (cb) => {
+            // returns the existing DM channel if there is one
+            apiRequest('POST', '/users/@me/channels', { recipient_id: userId }, cb);
+        },
+        (channel, cb) => {
+            createMessage(channel.id, null, messageText, cb);
+        }
+    ], callback);
+};
+
+module.exports = {
+    DiscordApiError,
+    createMessage,
+    getChannelMessage,
+    getChannelMessages,
+    getUser,
+    sendDirectMessage,
+    splitMessage
+};
@@ -0,0 +1,18 @@
+// Gild states shared by the chat handler and the stats. A gild is paid for before the platform is asked to
+// give the gold, and settled once it has answered.
+//
+// Pending -> Delivered (paid to the recipient)
+//    |
+//    +-> Failed (refused by the platform and refunded)
+//
+// A gild stays Pending when the platform did not say whether the gold was given, its price is held in the
+// gilds system account until an operator settles it.
+const GildStatus = {
+    Pending: 0,
+    Delivered: 1,
+    Failed: 2
+};
+
+module.exports = {
+    GildStatus
+};
@@ -0,0 +1,249 @@
+// HTTP API for monitoring and operators, only ever bound to localhost. All responses are JSON except /metrics.
+//   GET  /health               whether the database and lbrycrd respond and the bot and deposit loops are running,
+//                              the bot loop counting only runs that fetched the events of a platform
+//   GET  /metrics              Prometheus metrics of the bot process and the balances and queues in the database
+//   GET  /stats                users, balances, tips in the last day and what is waiting to be processed
+//   GET  /users/:name          a user's balance and recent activity, ?platform= for users outside reddit
+//   POST /tipping/pause        refuse tips and gilds, with an optional JSON body { "reason": "..." }
+//   POST /tipping/resume
+//   POST /withdrawals/pause    stop the withdrawal worker from broadcasting
+//   POST /withdrawals/resume
+// The POST endpoints need config.httpApi.token as a bearer token and are refused while no token is configured.
+const activity = require('./activity');
+const async = require('async');
+const botStats = require('./stats');
+const config = require('../config/config');
+const crypto = require('crypto');
+const db = require('./db');
+const http = require('http');
+const lbrycrd = require('./lbrycrd');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const platforms = require('./platforms');
+const settings = require('./settings');
+const url = require('url');
+
+const host = '127.0.0.1';
+const maxBodyLength = 10240;
+const recentActivityCount = 10;
+
+const authorized = (req) => {
+    const header = String(req.headers.authorization || '');
+    if (!config.httpApi.token || header.indexOf('Bearer ') !== 0) {
+        return false;
+    }
+
+    const given = Buffer.from(header.substring('Bearer '.length));
+    const expected = Buffer.from(String(config.httpApi.token));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Whether a loop finished a run recently enough, from the time it stored in Settings
+const loopStatus = (name, callback) => {
+    settings.get(db, name, (err, lastRun) => {
+        if (err) {
+            return callback(null, { ok: false, lastRun: null, error: err.message });
+        }
+
+        const age = lastRun ? (Date.now() - Date.parse(lastRun)) / 1000 : null;
+        return callback(null, { ok: age !== null && age <= config.httpApi.maxLoopAge, lastRun });
+    });
+};
+
+const health = (req, params, respond) => {
+    async.parallel({
+        database: (cb) => {
+            db.query('SELECT 1', [], (err) => {
+                cb(null, err ? { ok: false, error: err.message } : { ok: true });
+            });
+        },
+        lbrycrd: (cb) => {
+            lbrycrd.rpc('getblockcount', [], (err, blocks) => {
+                cb(null, err ? { ok: false, error: err.message } : { ok: true, blocks });
+            });
+        },
+        bot: (cb) => {
+            loopStatus(settings.Setting.BotLastRun, cb);
+        },
+        deposits: (cb) => {
+            loopStatus(settings.Setting.DepositsLastRun, cb);
+        }
+    }, (err, checks) => {
+        const ok = Object.keys(checks).every((check) => checks[check].ok);
+        respond(ok ? 200 : 503, Object.assign({ status: ok ? 'ok' : 'failing' }, checks));
+    });
+};
+
+const stats = (req, params, respond) => {
+    botStats.collect(db, (err, totals) => {
+        if (err) {
+            return respond(500, { error: err.message });
+        }
+
+        return respond(200, totals);
+    });
+};
+
+// The gauges read from the database are refreshed on every scrape, the rest is counted as the bot runs
+const prometheusMetrics = (req, params, respond) => {
+    botStats.collect(db, (err, totals) => {
+        if (err) {
+            return respond(500, { error: err.message });
+        }
+
+        metrics.pendingDeposits.set(null, totals.pendingDeposits);
+        metrics.queuedMessages.set(null, totals.queuedMessages);
+        metrics.liabilities.set(null, parseFloat(totals.balances) + parseFloat(totals.unsentWithdrawalAmount));
+        return respond(200, metrics.render());
+    });
+};
+
+const user = (req, params, respond) => {
+    const platform = params.query.platform || platforms.Platform.Reddit;
+    async.waterfall([
+        (cb) => {
+            db.query('SELECT Id, Platform, Username, Balance, DepositAddress, Frozen, FrozenReason, LastActive, Created FROM Users WHERE Platform = ? AND Username = ?',
+                     [platform, params.name], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length === 0) {
+                return cb(null, null, null);
+            }
+
+            return activity.recent(db, res[0].Id, recentActivityCount, (err, recent) => {
+                cb(err, res[0], recent);
+            });
+        }
+    ], (err, row, recent) => {
+        if (err) {
+            return respond(500, { error: err.message });
+        }
+
+        if (!row) {
+            return respond(404, { error: `There is no ${platform} user ${params.name}.` });
+        }
+
+        return respond(200, {
+            platform: row.Platform,
+            username: row.Username,
+            balance: row.Balance,
+            depositAddress: row.DepositAddress,
+            frozen: row.Frozen,
+            frozenReason: row.FrozenReason,
+            lastActive: row.LastActive,
+            created: row.Created,
+            recent
+        });
+    });
+};
+
+const pause = (setting) => (req, params, respond) => {
+    const reason = `Paused over the HTTP API: ${(params.body && params.body.reason) || 'no reason given'}`;
+    settings.set(db, setting, reason, (err) => {
+        if (err) {
+            return respond(500, { error: err.message });
+        }
+
+        logger.info('Paused over the HTTP API', { setting, reason });
+        return respond(200, { paused: true, reason });
+    });
+};
+
+const resume = (setting) => (req, params, respond) => {
+    settings.remove(db, setting, (err) => {
+        if (err) {
+            return respond(500, { error: err.message });
+        }
+
+        logger.info('Resumed over the HTTP API', { setting });
+        return respond(200, { paused: false });
+    });
+};
+
+const routes = [
+    { method: 'GET', path: /^\/health$/, handler: health },
+    { method: 'GET', path: /^\/metrics$/, handler: prometheusMetrics },
+    { method: 'GET', path: /^\/stats$/, handler: stats },
+    { method: 'GET', path: /^\/users\/([^/]+)$/, handler: user },
+    { method: 'POST', path: /^\/tipping\/pause$/, handler: pause(settings.Setting.TippingPaused), authenticated: true },
+    { method: 'POST', path: /^\/tipping\/resume$/, handler: resume(settings.Setting.TippingPaused), authenticated: true },
+    { method: 'POST', path: /^\/withdrawals\/pause$/, handler: pause(settings.Setting.WithdrawalsPaused), authenticated: true },
+    { method: 'POST', path: /^\/withdrawals\/resume$/, handler: resume(settings.Setting.WithdrawalsPaused), authenticated: true }
+];
+
+const readBody = (req, callback) => {
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > maxBodyLength) {
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        if (body.trim().length === 0) {
+            return callback(null, {});
+        }
+
+        try {
+            return callback(null, JSON.parse(body));
+        } catch (e) {
+            return callback(e, null);
+        }
+    });
+};
+
+const handleRequest = (req, res) => {
+    // A string body is sent as is, in the Prometheus text format
+    const respond = (statusCode, body) => {
+        const text = typeof body === 'string';
+        res.writeHead(statusCode, { 'Content-Type': text ? 'text/plain; version=0.0.4' : 'application/json' });
+        res.end(text ? body : JSON.stringify(body));
+    };
+
+    const parsed = url.parse(req.url, true);
+    const route = routes.filter((r) => r.method === req.method && r.path.test(parsed.pathname))[0];
+    if (!route) {
+        return respond(404, { error: 'Not found.' });
+    }
+
+    if (route.authenticated && !authorized(req)) {
+        return respond(401, { error: 'Unauthorized.' });
+    }
+
+    return readBody(req, (err, body) => {
+        if (err) {
+            return respond(400, { error: 'The request body is not valid JSON.' });
+        }
+
+        const match = route.path.exec(parsed.pathname);
+        let name = null;
+        try {
+            name = match[1] ? decodeURIComponent(match[1]) : null;
+        } catch (e) {
+            return respond(400, { error: 'The request path is not valid.' });
+        }
+
+        return route.handler(req, { name, query: parsed.query, body }, respond);
+    });
+};
+
+// Start listening on config.httpApi.port. Calls back with the server once it is listening.
+const start = (callback) => {
+    const server = http.createServer(handleRequest);
+    const failed = (err) => {
+        callback(err, null);
+    };
+    server.once('error', failed);
+    server.listen(config.httpApi.port, host, () => {
+        server.removeListener('error', failed);
+        server.on('error', (err) => {
+            logger.error('HTTP API error', { err });
+        });
+        logger.info('HTTP API listening', { url: `http://${host}:${server.address().port}` });
+        callback(null, server);
+    });
+};
+
+module.exports = {
+    start
+};
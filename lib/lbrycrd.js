@@ -0,0 +1,48 @@
+// lbrycrd JSON-RPC client
+const config = require('../config/config');
+const metrics = require('./metrics');
+const request = require('request');
+
+// code is the lbrycrd error code of an RPC error, or TIMEOUT when lbrycrd did not answer within
+// config.lbrycrd.timeout. connect is set for a timeout before the connection was made, when lbrycrd
+// never received the request.
+class LbrycrdRpcError extends Error {
+    constructor(code, message, rpcMethod, connect) {
+        super(message);
+        this.name = 'LbrycrdRpcError';
+        this.code = code;
+        this.rpcMethod = rpcMethod;
+        this.connect = !!connect;
+    }
+}
+
+const timedOut = (err) => err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT';
+
+// Call an RPC method. RPC errors and timeouts are passed on as an LbrycrdRpcError, other transport
+// errors (connection refused) as they come from request.
+const rpc = (method, params, callback) => {
+    const endTimer = metrics.lbrycrdRpcDuration.startTimer();
+    request.post({ url: config.lbrycrd.rpcurl, json: { method, params }, timeout: config.lbrycrd.timeout }, (err, res, body) => {
+        if (err && timedOut(err)) {
+            endTimer({ method, outcome: 'timeout' });
+            return callback(new LbrycrdRpcError('TIMEOUT', `lbrycrd did not answer ${method} within ${config.lbrycrd.timeout}ms.`, method, err.connect), null);
+        }
+
+        endTimer({ method, outcome: (err || !body || body.error) ? 'error' : 'success' });
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (!body || body.error) {
+            const message = body && body.error ? body.error.message : `Invalid response from lbrycrd for ${method}.`;
+            return callback(new LbrycrdRpcError(body && body.error ? body.error.code : null, message, method), null);
+        }
+
+        return callback(null, body.result);
+    });
+};
+
+module.exports = {
+    LbrycrdRpcError,
+    rpc
+};
@@ -0,0 +1,207 @@
+// Double-entry ledger. Every balance movement is a transfer between two accounts, recorded in
+// LedgerTransfers with a reference to the record that caused it and written to LedgerEntries as a
+// debit of one account and a credit of the other. An account is either a user, identified by the
+// user id, or one of the system accounts below. The balance of an account is its credits minus its
+// debits, so the balances of all accounts always add up to zero.
+//
+// Users.Balance is kept in step with the ledger inside the same transaction and can be rebuilt from it.
+// Every change to a user's balance is also written to BalanceAudit, which is append-only, with who caused it,
+// the balance before and after and why.
+const async = require('async');
+
+const SystemAccount = {
+    // funds held on chain, a deposit moves funds from here to a user and a withdrawal moves them back
+    Wallet: 'wallet',
+    // network fees paid out of the hot wallet
+    Fees: 'fees',
+    // operator corrections and opening balances
+    Adjustments: 'adjustments',
+    // the price of gilds that have not been delivered yet, paid to the recipient or refunded once they are
+    Gilds: 'gilds'
+};
+
+const SourceType = {
+    Deposit: 'deposit',
+    Tip: 'tip',
+    Gild: 'gild',
+    Withdrawal: 'withdrawal',
+    Fee: 'fee',
+    Refund: 'refund',
+    Reversal: 'reversal',
+    Adjustment: 'adjustment'
+};
+
+const isUserAccount = (account) => typeof account === 'number';
+
+// Who changed a balance, as recorded in BalanceAudit.Actor
+const userActor = (platform, username) => `${platform}/${username}`;
+
+const insertEntry = (db, transferId, account, debit, credit, callback) => {
+    db.query('INSERT INTO LedgerEntries (TransferId, UserId, Account, Debit, Credit, Created) VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP())',
+             [transferId, isUserAccount(account) ? account : null, isUserAccount(account) ? null : account, debit, credit], callback);
+};
+
+// Record what a transfer did to a user's balance. The balance before is worked out from the balance after,
+// which the transfer has already updated.
+const auditTransfer = (db, transferId, userId, change, source, callback) => {
+    db.query(['INSERT INTO BalanceAudit (UserId, TransferId, Action, Actor, Amount, BalanceBefore, BalanceAfter, Reason, CorrelationId, Created) ',
+              'SELECT Id, ?, ?, ?, CAST(? AS DECIMAL(18,8)), Balance - CAST(? AS DECIMAL(18,8)), Balance, ?, ?, UTC_TIMESTAMP() FROM Users WHERE Id = ?'].join(''),
+             [transferId, source.type, String(source.actor || 'system').substring(0, 64), change, change,
+              source.reason ? String(source.reason).substring(0, 255) : null, source.correlationId || null, userId], callback);
+};
+
+/**
+ * Move amount from one account to another. source is { type, id } where type is one of SourceType and
+ * id the id of the deposit, tip, withdrawal etc. It can also have the actor (see userActor), reason and
+ * correlationId to write to BalanceAudit for each user the transfer debits or credits, the actor is
+ * 'system' if not given. Debiting a user with an insufficient balance fails with the error code
+ * INSUFFICIENT_FUNDS and leaves the ledger unchanged.
+ * Must be called inside a transaction on db. Calls back with the transfer id.
+ */
+const transfer = (db, from, to, amount, source, callback) => {
+    const data = {};
+    async.waterfall([
+        (cb) => {
+            if (!isUserAccount(from)) {
+                return cb(null, null, null);
+            }
+
+            return db.query('UPDATE Users SET Balance = Balance - ? WHERE Id = ? AND Balance >= ?', [amount, from, amount], cb);
+        },
+        (res, fields, cb) => {
+            if (res && res.affectedRows === 0) {
+                const error = new Error(`Insufficient funds to transfer ${amount} LBC from user ${from}.`);
+                error.code = 'INSUFFICIENT_FUNDS';
+                return cb(error, null, null);
+            }
+
+            if (!isUserAccount(to)) {
+                return cb(null, null, null);
+            }
+
+            return db.query('UPDATE Users SET Balance = Balance + ? WHERE Id = ?', [amount, to], cb);
+        },
+        (res, fields, cb) => {
+            db.query('INSERT INTO LedgerTransfers (SourceType, SourceId, Amount, Created) VALUES (?, ?, ?, UTC_TIMESTAMP())',
+                     [source.type, source.id, amount], cb);
+        },
+        (res, fields, cb) => {
+            data.transferId = res.insertId;
+            insertEntry(db, data.transferId, from, amount, 0, cb);
+        },
+        (res, fields, cb) => {
+            insertEntry(db, data.transferId, to, 0, amount, cb);
+        },
+        (res, fields, cb) => {
+            if (!isUserAccount(from)) {
+                return cb(null, null, null);
+            }
+
+            return auditTransfer(db, data.transferId, from, `-${amount}`, source, cb);
+        },
+        (res, fields, cb) => {
+            if (!isUserAccount(to)) {
+                return cb(null, null, null);
+            }
+
+            return auditTransfer(db, data.transferId, to, String(amount), source, cb);
+        }
+    ], (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, data.transferId);
+    });
+};
+
+const ledgerBalancesQuery = 'SELECT UserId, SUM(Credit) - SUM(Debit) AS Balance FROM LedgerEntries WHERE UserId IS NOT NULL GROUP BY UserId';
+
+/**
+ * Users whose Balance does not match their ledger balance, and transfers whose entries do not add up.
+ * Calls back with { users: [{ Id, Platform, Username, Balance, LedgerBalance }], transfers: [transferId] }
+ */
+const verify = (db, callback) => {
+    async.parallel({
+        users: (cb) => {
+            db.query(['SELECT U.Id, U.Platform, U.Username, U.Balance, COALESCE(L.Balance, 0) AS LedgerBalance FROM Users U ',
+                      `LEFT JOIN (${ledgerBalancesQuery}) L ON L.UserId = U.Id WHERE U.Balance <> COALESCE(L.Balance, 0) ORDER BY U.Id`].join(''), (err, res) => {
+                cb(err, res);
+            });
+        },
+        transfers: (cb) => {
+            db.query('SELECT TransferId FROM LedgerEntries GROUP BY TransferId HAVING SUM(Debit) <> SUM(Credit) OR COUNT(*) <> 2', (err, res) => {
+                cb(err, res ? res.map((row) => row.TransferId) : null);
+            });
+        }
+    }, callback);
+};
+
+/**
+ * Set every user's Balance to their ledger balance, recording each change in BalanceAudit as made by actor.
+ * Must be called inside a transaction on db. Calls back with the number of users changed.
+ */
+const rebuildBalances = (db, actor, callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query(['INSERT INTO BalanceAudit (UserId, TransferId, Action, Actor, Amount, BalanceBefore, BalanceAfter, Reason, CorrelationId, Created) ',
+                      "SELECT U.Id, NULL, 'rebuild', ?, COALESCE(L.Balance, 0) - U.Balance, U.Balance, COALESCE(L.Balance, 0), 'Balance rebuilt from the ledger', NULL, UTC_TIMESTAMP() ",
+                      `FROM Users U LEFT JOIN (${ledgerBalancesQuery}) L ON L.UserId = U.Id WHERE U.Balance <> COALESCE(L.Balance, 0)`].join(''),
+                     [String(actor).substring(0, 64)], cb);
+        },
+        (res, fields, cb) => {
+            db.query(`UPDATE Users U LEFT JOIN (${ledgerBalancesQuery}) L ON L.UserId = U.Id SET U.Balance = COALESCE(L.Balance, 0)`, cb);
+        }
+    ], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, res.changedRows);
+    });
+};
+
+/**
+ * Record the balances of users who have no ledger entries yet, which is every user of a database
+ * created before the ledger existed, as opening adjustments. Must be called inside a transaction on db.
+ * Calls back with the number of users opened.
+ */
+const openBalances = (db, callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query(['SELECT U.Id, U.Balance FROM Users U WHERE U.Balance > 0 ',
+                      'AND NOT EXISTS (SELECT 1 FROM LedgerEntries E WHERE E.UserId = U.Id) FOR UPDATE'].join(''), cb);
+        },
+        (res, fields, cb) => {
+            async.eachSeries(res, (user, ecb) => {
+                // the balance is already in Users.Balance, so only the entries are written
+                async.waterfall([
+                    (wcb) => {
+                        db.query('INSERT INTO LedgerTransfers (SourceType, SourceId, Amount, Created) VALUES (?, NULL, ?, UTC_TIMESTAMP())',
+                                 [SourceType.Adjustment, user.Balance], wcb);
+                    },
+                    (tres, tfields, wcb) => {
+                        insertEntry(db, tres.insertId, SystemAccount.Adjustments, user.Balance, 0, (err) => {
+                            wcb(err, tres.insertId);
+                        });
+                    },
+                    (transferId, wcb) => {
+                        insertEntry(db, transferId, user.Id, 0, user.Balance, wcb);
+                    }
+                ], ecb);
+            }, (err) => {
+                cb(err, res.length);
+            });
+        }
+    ], callback);
+};
+
+module.exports = {
+    SourceType,
+    SystemAccount,
+    openBalances,
+    rebuildBalances,
+    transfer,
+    userActor,
+    verify
+};
@@ -0,0 +1,53 @@
+// Structured logging. Every entry is written to stdout as one line of JSON with the time, the level, the message
+// and any fields given, e.g. {"time":"...","level":"info","message":"Tip sent","correlationId":"...","amount":"1.00000000"}.
+// Entries below config.log.level are dropped. A child logger adds its fields to every entry, which is how the
+// correlation id of a message follows it from processMessage down to the ledger.
+const config = require('../config/config');
+const crypto = require('crypto');
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+const enabled = (level) => levels.indexOf(level) >= levels.indexOf((config.log && config.log.level) || 'info');
+
+// Errors do not serialise to JSON on their own
+const serialiseError = (err) => {
+    if (!(err instanceof Error)) {
+        return err;
+    }
+
+    return Object.assign({ message: err.message, code: err.code, stack: err.stack }, err.statusCode ? { statusCode: err.statusCode } : {});
+};
+
+const write = (level, fields, message, extra) => {
+    if (!enabled(level)) {
+        return;
+    }
+
+    const entry = Object.assign({ time: new Date().toISOString(), level, message }, fields, extra);
+    if (entry.err) {
+        entry.err = serialiseError(entry.err);
+    }
+
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+const create = (fields) => {
+    const logger = { fields };
+    levels.forEach((level) => {
+        logger[level] = (message, extra) => write(level, fields, message, extra);
+    });
+    logger.child = (more) => create(Object.assign({}, fields, more));
+    return logger;
+};
+
+const newCorrelationId = () => crypto.randomBytes(8).toString('hex');
+
+// The logger for everything done on behalf of a message, with the correlation id processMessage gave it
+const forMessage = (message) => {
+    return create({ correlationId: message.correlationId || null, platform: message.platform, eventId: message.id });
+};
+
+module.exports = Object.assign(create({}), {
+    forMessage,
+    newCorrelationId
+});
@@ -0,0 +1,115 @@
+// Durable outbound message queue backed by the PendingMessageQueue table
+const async = require('async');
+const config = require('../config/config');
+const logger = require('./logger');
+const platforms = require('./platforms');
+
+const privateMessageType = 1;
+const commentReplyType = 2;
+
+const enqueue = (db, type, platform, recipient, replyToFullId, subject, messageText, callback) => {
+    db.query(['INSERT INTO PendingMessageQueue (Type, Platform, Recipient, ReplyToFullId, Subject, MessageText, NextAttempt, Created) ',
+              'VALUES (?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), UTC_TIMESTAMP())'].join(''),
+             [type, platform, recipient, replyToFullId, subject, messageText], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, res.insertId);
+    });
+};
+
+// Queue a private message to a user of the platform. Pass the connection that owns the current transaction
+// so the message is only sent if the transaction commits.
+const enqueuePM = (db, platform, recipient, subject, messageText, callback) => {
+    enqueue(db, privateMessageType, platform, recipient, null, subject, messageText, callback);
+};
+
+// Queue a PM to each of the operators, who are reddit users
+const alertOperators = (db, subject, messageText, callback) => {
+    async.eachSeries(config.operators, (operator, ecb) => {
+        enqueuePM(db, platforms.Platform.Reddit, operator, subject, messageText, ecb);
+    }, callback);
+};
+
+// Queue a reply to a message identified by its FullId on the platform
+const enqueueReply = (db, platform, replyToFullId, messageText, callback) => {
+    enqueue(db, commentReplyType, platform, null, replyToFullId, null, messageText, callback);
+};
+
+// exponential backoff, capped at maxRetryDelay
+const retryDelayForAttempt = (attempts) => {
+    const delay = config.messageQueue.retryDelay * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, config.messageQueue.maxRetryDelay);
+};
+
+const markSent = (db, messageId, callback) => {
+    db.query('UPDATE PendingMessageQueue SET Attempts = Attempts + 1, LastError = NULL, Sent = UTC_TIMESTAMP() WHERE Id = ?', [messageId], callback);
+};
+
+const markAttemptFailed = (db, pendingMessage, error, callback) => {
+    // errors such as a locked thread or a deleted user will not go away, so give up straight away
+    const attempts = (error && error.permanent) ? config.messageQueue.maxAttempts : pendingMessage.Attempts + 1;
+    const errorText = String(error && error.message ? error.message : error).substring(0, 255);
+    db.query('UPDATE PendingMessageQueue SET Attempts = ?, LastError = ?, NextAttempt = DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND) WHERE Id = ?',
+             [attempts, errorText, retryDelayForAttempt(attempts), pendingMessage.Id], callback);
+};
+
+/**
+ * Send pending messages that are due, oldest first. senders maps each platform to its adapter, whose
+ * sendPM(recipient, subject, text, cb) and reply(fullId, text, cb) perform the actual delivery. Messages
+ * for platforms that are not in senders are left in the queue.
+ * A failed delivery is rescheduled with backoff until maxAttempts is reached or the error is permanent,
+ * after which the message is left in the table for an operator to inspect.
+ */
+const processQueue = (db, senders, callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query(['SELECT Id, Type, Platform, Recipient, ReplyToFullId, Subject, MessageText, Attempts FROM PendingMessageQueue ',
+                      'WHERE Sent IS NULL AND Attempts < ? AND NextAttempt <= UTC_TIMESTAMP() AND Platform IN (?) ORDER BY Id LIMIT ?'].join(''),
+                     [config.messageQueue.maxAttempts, Object.keys(senders), config.messageQueue.batchSize], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length === 0) {
+                return cb(null, 0);
+            }
+
+            let sentCount = 0;
+            return async.eachSeries(res, (pendingMessage, ecb) => {
+                const done = (err) => {
+                    if (err) {
+                        logger.warn('Could not send a queued message', { queuedMessageId: pendingMessage.Id, attempt: pendingMessage.Attempts + 1, err });
+                        return markAttemptFailed(db, pendingMessage, err, (ierr) => {
+                            setTimeout(ecb, config.messageQueue.sendDelay, ierr);
+                        });
+                    }
+
+                    sentCount++;
+                    return markSent(db, pendingMessage.Id, (ierr) => {
+                        setTimeout(ecb, config.messageQueue.sendDelay, ierr);
+                    });
+                };
+
+                const sender = senders[pendingMessage.Platform];
+                if (pendingMessage.Type === privateMessageType) {
+                    return sender.sendPM(pendingMessage.Recipient, pendingMessage.Subject, pendingMessage.MessageText, done);
+                }
+
+                return sender.reply(pendingMessage.ReplyToFullId, pendingMessage.MessageText, done);
+            }, (err) => {
+                if (err) {
+                    return cb(err, null);
+                }
+
+                return cb(null, sentCount);
+            });
+        }
+    ], callback);
+};
+
+module.exports = {
+    alertOperators,
+    enqueuePM,
+    enqueueReply,
+    processQueue
+};
@@ -0,0 +1,165 @@
+// Prometheus metrics of this process, rendered in the text exposition format. The bot serves them at /metrics
+// on the HTTP API, the deposit processor on a port of its own.
+const http = require('http');
+const logger = require('./logger');
+
+// Outcome label values of the tip, gild and withdrawal counters
+const Outcome = {
+    Success: 'success',
+    Held: 'held',
+    InsufficientFunds: 'insufficient_funds',
+    InvalidAmount: 'invalid_amount',
+    InvalidAddress: 'invalid_address',
+    InvalidRecipient: 'invalid_recipient',
+    LimitExceeded: 'limit_exceeded',
+    Refused: 'refused',
+    RateLimited: 'rate_limited',
+    // the platform refused a gild, it was refunded
+    Failed: 'failed',
+    // a gild call failed without saying whether the gold was given
+    Unknown: 'unknown',
+    Error: 'error'
+};
+
+// seconds
+const defaultBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const names = Object.keys(labels).sort();
+    return names.length === 0 ? '' : `{${names.map((name) => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+};
+
+// The values of a metric, one per set of labels
+const series = () => {
+    const values = {};
+    return {
+        get: (labels, initial) => {
+            const key = formatLabels(labels || {});
+            if (!values[key]) {
+                values[key] = { labels: labels || {}, value: initial() };
+            }
+
+            return values[key];
+        },
+        all: () => Object.keys(values).map((key) => values[key])
+    };
+};
+
+const register = (name, help, type, lines) => {
+    registry.push({ name, help, type, lines });
+};
+
+const counter = (name, help) => {
+    const values = series();
+    register(name, help, 'counter', () => values.all().map((entry) => `${name}${formatLabels(entry.labels)} ${entry.value}`));
+    return {
+        inc: (labels, amount) => {
+            values.get(labels, () => 0).value += (amount === undefined ? 1 : amount);
+        }
+    };
+};
+
+const gauge = (name, help) => {
+    const values = series();
+    register(name, help, 'gauge', () => values.all().map((entry) => `${name}${formatLabels(entry.labels)} ${entry.value}`));
+    return {
+        set: (labels, value) => {
+            values.get(labels, () => 0).value = value;
+        }
+    };
+};
+
+const histogram = (name, help, buckets) => {
+    const bounds = buckets || defaultBuckets;
+    const values = series();
+    const observe = (labels, seconds) => {
+        const entry = values.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+            if (seconds <= bound) {
+                entry.value.counts[i]++;
+            }
+        });
+        entry.value.sum += seconds;
+        entry.value.count++;
+    };
+
+    register(name, help, 'histogram', () => values.all().reduce((lines, entry) => {
+        return lines.concat(bounds.map((bound, i) => `${name}_bucket${formatLabels(Object.assign({ le: bound }, entry.labels))} ${entry.value.counts[i]}`), [
+            `${name}_bucket${formatLabels(Object.assign({ le: '+Inf' }, entry.labels))} ${entry.value.count}`,
+            `${name}_sum${formatLabels(entry.labels)} ${entry.value.sum}`,
+            `${name}_count${formatLabels(entry.labels)} ${entry.value.count}`
+        ]);
+    }, []));
+
+    return {
+        observe,
+        // Call the returned function with the labels once the timed operation is done
+        startTimer: () => {
+            const start = process.hrtime();
+            return (labels) => {
+                const elapsed = process.hrtime(start);
+                observe(labels, elapsed[0] + elapsed[1] / 1e9);
+            };
+        }
+    };
+};
+
+const render = () => {
+    return registry.map((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`].concat(metric.lines()).join('\n')).join('\n') + '\n';
+};
+
+// Wrap a callback to count handled messages with the given labels. Messages that failed or had already
+// been processed are not counted.
+const counted = (metric, labels, callback) => (err, handled) => {
+    if (!err && handled) {
+        metric.inc(labels);
+    }
+
+    callback(err, handled);
+};
+
+// Serve /metrics alone on localhost, for processes without the HTTP API
+const serve = (port, callback) => {
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'GET' || req.url !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found.\n');
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        return res.end(render());
+    });
+    const failed = (err) => {
+        callback(err, null);
+    };
+    server.once('error', failed);
+    server.listen(port, '127.0.0.1', () => {
+        server.removeListener('error', failed);
+        logger.info('Serving metrics', { url: `http://127.0.0.1:${server.address().port}/metrics` });
+        callback(null, server);
+    });
+};
+
+module.exports = {
+    Outcome,
+    counted,
+    render,
+    serve,
+
+    tips: counter('tipbot_tips_total', 'Tips and gilds handled, by kind and outcome.'),
+    withdrawals: counter('tipbot_withdrawals_total', 'Withdrawal requests handled, by outcome.'),
+    withdrawalBroadcasts: counter('tipbot_withdrawal_broadcasts_total', 'Withdrawals the deposit processor tried to send, by outcome.'),
+    deposits: counter('tipbot_deposits_total', 'Deposits credited or dropped, by outcome.'),
+    redditRateLimited: counter('tipbot_reddit_rate_limited_total', 'Reddit API requests that were held back or refused by the rate limit.'),
+    redditRequestDuration: histogram('tipbot_reddit_request_duration_seconds', 'Reddit API request latency, by endpoint and status code.'),
+    lbrycrdRpcDuration: histogram('tipbot_lbrycrd_rpc_duration_seconds', 'lbrycrd RPC latency, by method and outcome.'),
+    exchangeRateRequestDuration: histogram('tipbot_exchange_rate_request_duration_seconds', 'Exchange rate provider latency, by provider and outcome.'),
+    unhandledEvents: gauge('tipbot_unhandled_events', 'Events fetched in the latest run of each platform, the unread backlog.'),
+    pendingDeposits: gauge('tipbot_pending_deposits', 'Deposits waiting for confirmations.'),
+    queuedMessages: gauge('tipbot_queued_messages', 'Replies and PMs waiting to be sent.'),
+    liabilities: gauge('tipbot_liabilities_lbc', 'User balances plus withdrawals that have not left the wallet, in LBC.')
+};
@@ -0,0 +1,220 @@
+// Discord adapter, polling the channels in config.discord.channels over the REST API. Only messages that
+// mention the bot are events. A message that starts with the bot's mention followed by one of the private
+// commands (e.g. "@lbryian balance") is a direct event and is answered by DM, anything else that mentions
+// the bot is handled like a reddit comment. Users are stored by their Discord user id.
+//
+// The id of the last message handled in each channel is kept in Settings. It only moves past an event once
+// the events before it were handled too, so a message that failed is fetched again on the next run. The messages
+// after it are handled all the same and passed over as already processed when they are fetched again. A message
+// that failed config.discord.maxEventAttempts times is skipped and the operators are alerted, so it cannot hold
+// the cursor back for good. Failures are counted in memory and start again from zero when the bot restarts.
+const async = require('async');
+const config = require('../../config/config');
+const db = require('../db');
+const discord = require('../discord');
+const logger = require('../logger');
+const messageQueue = require('../messagequeue');
+const platforms = require('./index');
+const settings = require('../settings');
+const templates = require('../templates');
+
+const EventKind = platforms.EventKind;
+
+const directCommands = ['balance', 'deposit', 'history', 'send', 'withdraw'];
+
+const botName = String(config.discord.botUserId);
+const botMentionRegex = new RegExp(`^<@!?${botName}>\\s*`);
+
+const cursorSetting = (channelId) => `${settings.Setting.DiscordChannelCursor}.${channelId}`;
+
+// The events of the latest fetch in each channel that the cursor has not moved past, oldest first, as { id, handled }
+const fetched = {};
+
+// How often each event the cursor has not moved past failed, by channel and message id
+const failures = {};
+
+const mentionsBot = (message) => (message.mentions || []).some((user) => user.id === botName);
+
+// Direct events are replied to by DM, so the author is part of their id
+const toEvent = (channelId, message) => {
+    const command = message.content.replace(botMentionRegex, '');
+    const direct = command !== message.content && directCommands.indexOf(command.split(/\s+/)[0].toLowerCase()) > -1;
+    return {
+        platform: platforms.Platform.Discord,
+        kind: direct ? EventKind.Direct : EventKind.Public,
+        id: direct ? `${channelId}/${message.id}/${message.author.id}` : `${channelId}/${message.id}`,
+        platformId: message.id,
+        author: message.author.id,
+        body: direct ? command.trim() : message.content,
+        parentId: message.message_reference ? `${channelId}/${message.message_reference.message_id}` : null,
+        channel: channelId,
+        context: null,
+        created: Math.floor(Date.parse(message.timestamp) / 1000)
+    };
+};
+
+// The events in one channel since the last message handled. Messages before the first event are passed over
+// straight away. The first time a channel is read its history is passed over.
+const fetchChannelEvents = (channelId, callback) => {
+    async.waterfall([
+        (cb) => {
+            settings.get(db, cursorSetting(channelId), cb);
+        },
+        (cursor, cb) => {
+            discord.getChannelMessages(channelId, cursor, (err, messages) => {
+                cb(err, cursor, messages);
+            });
+        },
+        (cursor, messages, cb) => {
+            const isEvent = (message) => !message.author.bot && mentionsBot(message);
+            const events = messages.filter(isEvent).map((message) => toEvent(channelId, message));
+            const firstEvent = messages.findIndex(isEvent);
+            const passedOver = (cursor && firstEvent > -1) ? messages.slice(0, firstEvent) : messages;
+            if (!cursor) {
+                logger.info('Reading Discord channel from now on', { channelId });
+            }
+            countFailures(channelId, cursor ? events : []);
+            fetched[channelId] = cursor ? events.map((event) => ({ id: event.platformId, handled: false })) : [];
+            const skipped = cursor ? events.filter((event) => failures[channelId][event.platformId] >= config.discord.maxEventAttempts) : [];
+            if (passedOver.length === 0) {
+                return cb(null, cursor, events, skipped);
+            }
+
+            return settings.set(db, cursorSetting(channelId), passedOver[passedOver.length - 1].id, (err) => {
+                cb(err, cursor, events, skipped);
+            });
+        },
+        (cursor, events, skipped, cb) => {
+            async.eachSeries(skipped, skipEvent, (err) => {
+                cb(err, cursor ? events.filter((event) => skipped.indexOf(event) === -1) : []);
+            });
+        }
+    ], callback);
+};
+
+const fetchEvents = (callback) => {
+    async.concatSeries(config.discord.channels, fetchChannelEvents, (err, events) => {
+        if (err) {
+            // none of the events fetched are processed, so they did not fail either
+            config.discord.channels.forEach((channelId) => {
+                fetched[channelId] = [];
+            });
+            return callback(err, null);
+        }
+
+        return callback(null, events);
+    });
+};
+
+// The events of the previous fetch that were not handled failed. Only the events fetched again are counted on.
+const countFailures = (channelId, events) => {
+    const previous = failures[channelId] || {};
+    const failed = (fetched[channelId] || []).filter((entry) => !entry.handled).map((entry) => entry.id);
+    failures[channelId] = events.reduce((counts, event) => {
+        const count = (previous[event.platformId] || 0) + (failed.indexOf(event.platformId) > -1 ? 1 : 0);
+        if (count > 0) {
+            counts[event.platformId] = count;
+        }
+        return counts;
+    }, {});
+};
+
+// Move the cursor past the events at the start of the channel that were handled or skipped
+const advanceCursor = (channelId, callback) => {
+    const pending = fetched[channelId] || [];
+    let cursor = null;
+    while (pending.length > 0 && pending[0].handled) {
+        cursor = pending.shift().id;
+    }
+    if (!cursor) {
+        // an earlier event in the channel failed, the cursor stays before it
+        return callback(null, true);
+    }
+
+    return settings.set(db, cursorSetting(channelId), cursor, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+// Give up on an event that failed too often, so that the cursor can move past it
+const skipEvent = (event, callback) => {
+    const attempts = failures[event.channel][event.platformId];
+    logger.error('Skipping a Discord message that failed too often, it needs operator attention', { eventId: event.id, attempts });
+    fetched[event.channel].filter((entry) => entry.id === event.platformId).forEach((entry) => {
+        entry.handled = true;
+    });
+
+    const messageText = templates.render('ondiscord.skipped', { channel_id: event.channel, message_id: event.platformId, author: event.author, attempts });
+    return messageQueue.alertOperators(db, 'Discord message skipped', messageText, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return advanceCursor(event.channel, callback);
+    });
+};
+
+const markHandled = (event, callback) => {
+    (fetched[event.channel] || []).filter((entry) => entry.id === event.platformId).forEach((entry) => {
+        entry.handled = true;
+    });
+
+    return advanceCursor(event.channel, callback);
+};
+
+// user ids are what a mention contains, so this only checks the user exists
+const resolveUser = (userId, callback) => {
+    discord.getUser(userId, (err, user) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, (user && !user.bot) ? user.id : null);
+    });
+};
+
+const parentAuthor = (event, callback) => {
+    if (!event.parentId) {
+        return callback(null, null);
+    }
+
+    const ids = event.parentId.split('/');
+    return discord.getChannelMessage(ids[0], ids[1], (err, message) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, (message && !message.author.bot) ? message.author.id : null);
+    });
+};
+
+const reply = (fullId, messageText, callback) => {
+    const ids = fullId.split('/');
+    if (ids.length === 3) {
+        return discord.sendDirectMessage(ids[2], messageText, callback);
+    }
+
+    return discord.createMessage(ids[0], ids[1], messageText, callback);
+};
+
+const sendPM = (userId, subject, messageText, callback) => {
+    discord.sendDirectMessage(userId, `**${subject}**\n${messageText}`, callback);
+};
+
+module.exports = {
+    name: platforms.Platform.Discord,
+    botName,
+    mentionPattern: '<@!?(\\d{15,21})>',
+    botMentionPattern: `<@!?${botName}>`,
+    fetchEvents,
+    markHandled,
+    mention: (userId) => `<@${userId}>`,
+    parentAuthor,
+    reply,
+    resolveUser,
+    sendPM
+};
@@ -0,0 +1,61 @@
+// Chat platforms the tip engine runs on. The engine only deals with users, balances, tips and withdrawals,
+// a platform adapter turns what its platform delivers into events and sends the engine's replies back.
+//
+// An adapter has:
+//   name                                 the Platform it handles, stored with its users, messages and queued messages
+//   botName                              the bot's own username, which is never a tip recipient
+//   mentionPattern                       regular expression source matching a mention of a user, capturing the name
+//   botMentionPattern                    regular expression source matching a mention of the bot
+//   fetchEvents(cb)                      events that have not been handled yet, oldest first
+//   markHandled(event, cb)               keep fetchEvents from returning the event again
+//   resolveUser(name, cb)                the username of a mentioned user as stored in Users, or null if there is no such user
+//   parentAuthor(event, cb)              the username of the author of what the event replies to, or null
+//   mention(username)                    the username as written in a message
+//   reply(fullId, text, cb)              reply to an event, privately if the event was private
+//   sendPM(username, subject, text, cb)  send a private message
+//   gild(event, cb)                      optional, give platform gold to what the event replies to
+//
+// An event is { platform, kind, id, platformId, author, body, parentId, channel, context, created }. kind is one of
+// EventKind, or null for anything the engine does not handle. id is unique on the platform and is what reply takes,
+// platformId is the platform's own id of the message and created is in seconds since the epoch. The engine adds the
+// correlationId it logs the event under.
+const config = require('../../config/config');
+
+const Platform = {
+    Reddit: 'reddit',
+    Discord: 'discord'
+};
+
+const EventKind = {
+    // a private message, or a command addressed to the bot, answered privately
+    Direct: 'direct',
+    // a comment or channel message, answered in public
+    Public: 'public'
+};
+
+const adapters = {};
+
+// Adapters are loaded on first use so a platform that is not enabled does not need to be configured
+const get = (platform) => {
+    if (!adapters[platform]) {
+        if (Object.keys(Platform).map((name) => Platform[name]).indexOf(platform) === -1) {
+            throw new Error(`Unknown platform ${platform}.`);
+        }
+        adapters[platform] = require(`./${platform}`);
+    }
+
+    return adapters[platform];
+};
+
+// The adapters of config.platforms by platform
+const enabled = () => config.platforms.reduce((enabledAdapters, platform) => {
+    enabledAdapters[platform] = get(platform);
+    return enabledAdapters;
+}, {});
+
+module.exports = {
+    EventKind,
+    Platform,
+    enabled,
+    get
+};
@@ -0,0 +1,86 @@
+// Reddit adapter. Events are the unread items in the bot's inbox: private messages, username mentions
+// and replies to the bot's comments. An event is handled once it is marked as read.
+const async = require('async');
+const config = require('../../config/config');
+const logger = require('../logger');
+const platforms = require('./index');
+const reddit = require('../reddit');
+const tokenManager = require('../tokenmanager');
+
+const EventKind = platforms.EventKind;
+
+const commentKind = 't1';
+const privateMessageKind = 't4';
+
+const eventKinds = {
+    [commentKind]: EventKind.Public,
+    [privateMessageKind]: EventKind.Direct
+};
+
+const toEvent = (item) => ({
+    platform: platforms.Platform.Reddit,
+    kind: eventKinds[item.kind] || null,
+    id: item.data.name,
+    platformId: item.data.id,
+    author: item.data.author,
+    body: String(item.data.body),
+    parentId: item.data.parent_id,
+    channel: item.data.subreddit,
+    context: item.data.context,
+    created: item.data.created_utc
+});
+
+const fetchEvents = (callback) => {
+    async.waterfall([
+        (cb) => {
+            // make sure we can authenticate before doing anything else, the token is refreshed ahead of expiry
+            tokenManager.getAccessToken(cb);
+        },
+        (token, cb) => {
+            reddit.retrieveUnreadMessages(cb);
+        },
+        (unread, cb) => {
+            cb(null, unread.filter((item) => {
+                if (!item.kind || !item.data) {
+                    logger.warn('Invalid inbox item encountered');
+                    return false;
+                }
+
+                return true;
+            }).map(toEvent));
+        }
+    ], callback);
+};
+
+const markHandled = (event, callback) => {
+    reddit.markMessageRead(event.id, callback);
+};
+
+const parentAuthor = (event, callback) => {
+    if (!event.parentId) {
+        return callback(null, null);
+    }
+
+    return reddit.getThingAuthor(event.parentId, callback);
+};
+
+const gild = (event, callback) => {
+    reddit.gildThing(event.parentId, callback);
+};
+
+const botName = config.redditName.replace(/^\/?u\//i, '');
+
+module.exports = {
+    name: platforms.Platform.Reddit,
+    botName,
+    mentionPattern: '\\/?u\\/([A-Za-z0-9_-]{3,20})',
+    botMentionPattern: `\\/?u\\/${botName}\\b`,
+    fetchEvents,
+    gild,
+    markHandled,
+    mention: (username) => `u/${username}`,
+    parentAuthor,
+    reply: reddit.replyToThing,
+    resolveUser: reddit.getUsername,
+    sendPM: reddit.sendPM
+};
@@ -0,0 +1,112 @@
+// LBC/USD exchange rate service. Rates are fetched from all configured providers, the median of the
+// valid responses is cached for config.exchangeRate.ttl seconds and a cached rate older than
+// config.exchangeRate.maxStaleness seconds is never used to price anything.
+const async = require('async');
+const config = require('../config/config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const request = require('request');
+
+let cachedRate = null;
+
+// Read a value like 'data.lbc_usd' from a provider response
+const valueAtPath = (obj, path) => {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined) ? value : value[key], obj);
+};
+
+const fetchProviderRate = (provider, callback) => {
+    const endTimer = metrics.exchangeRateRequestDuration.startTimer();
+    request.get({ url: provider.url, json: true, timeout: config.exchangeRate.timeout }, (err, res, body) => {
+        if (err) {
+            endTimer({ provider: provider.name, outcome: 'error' });
+            return callback(err, null);
+        }
+
+        const rate = parseFloat(valueAtPath(body, provider.path));
+        if (res.statusCode !== 200 || isNaN(rate) || rate <= 0) {
+            endTimer({ provider: provider.name, outcome: 'error' });
+            return callback(new Error(`Invalid LBC/USD rate retrieved from ${provider.name}.`), null);
+        }
+
+        endTimer({ provider: provider.name, outcome: 'success' });
+        return callback(null, rate);
+    });
+};
+
+const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return (sorted.length % 2 === 0) ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const fetchRate = (callback) => {
+    async.map(config.exchangeRate.providers, (provider, mcb) => {
+        fetchProviderRate(provider, (err, rate) => {
+            if (err) {
+                // a failing provider is skipped as long as another one responds
+                logger.warn('Exchange rate provider failed', { provider: provider.name, err });
+                return mcb(null, null);
+            }
+
+            return mcb(null, rate);
+        });
+    }, (err, rates) => {
+        const validRates = rates.filter((rate) => rate !== null);
+        if (validRates.length === 0) {
+            return callback(new Error('Could not retrieve the LBC/USD conversion rate.'), null);
+        }
+
+        return callback(null, median(validRates));
+    });
+};
+
+const ageInSeconds = (rate) => (Date.now() - rate.time) / 1000;
+
+// Get the current LBC/USD rate as { rate, time }
+const getRate = (callback) => {
+    if (cachedRate && ageInSeconds(cachedRate) < config.exchangeRate.ttl) {
+        return callback(null, cachedRate);
+    }
+
+    return fetchRate((err, rate) => {
+        if (err) {
+            if (cachedRate && ageInSeconds(cachedRate) < config.exchangeRate.maxStaleness) {
+                logger.warn('Using a cached exchange rate', { age: Math.round(ageInSeconds(cachedRate)), err });
+                return callback(null, cachedRate);
+            }
+
+            return callback(err, null);
+        }
+
+        cachedRate = { rate, time: Date.now() };
+        return callback(null, cachedRate);
+    });
+};
+
+// Convert a USD amount to LBC. Calls back with the LBC amount and the rate used.
+const convertUsdToLbc = (amount, callback) => {
+    getRate((err, rate) => {
+        if (err) {
+            return callback(err, null, null);
+        }
+
+        return callback(null, (amount / rate.rate).toFixed(8), rate.rate);
+    });
+};
+
+// Convert an LBC amount to USD. Calls back with the USD amount and the rate used.
+const convertLbcToUsd = (amount, callback) => {
+    getRate((err, rate) => {
+        if (err) {
+            return callback(err, null, null);
+        }
+
+        return callback(null, (amount * rate.rate).toFixed(2), rate.rate);
+    });
+};
+
+module.exports = {
+    convertLbcToUsd,
+    convertUsdToLbc,
+    getRate
+};
@@ -0,0 +1,254 @@
+// Reddit API client. Every call goes through one queue which spaces requests out, waits for the
+// rate limit window to reset when reddit says we have no requests left and retries server errors.
+const async = require('async');
+const config = require('../config/config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const tokenManager = require('./tokenmanager');
+const util = require('util');
+
+// Errors that will not go away by retrying the same request
+const permanentErrorCodes = [
+    'DELETED_COMMENT',
+    'DELETED_LINK',
+    'NO_THING_ID',
+    'NOT_WHITELISTED_BY_USER_MESSAGE',
+    'THREAD_LOCKED',
+    'TOO_OLD',
+    'USER_BLOCKED',
+    'USER_DOESNT_EXIST'
+];
+
+class RedditApiError extends Error {
+    constructor(code, message, statusCode) {
+        super(message ? `${code}: ${message}` : code);
+        this.name = 'RedditApiError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.permanent = permanentErrorCodes.indexOf(code) > -1;
+    }
+}
+
+const rateLimit = {
+    remaining: null,
+    reset: 0,
+    lastRequest: 0
+};
+
+const updateRateLimit = (headers) => {
+    const remaining = parseFloat(headers['x-ratelimit-remaining']);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    if (!isNaN(remaining)) {
+        rateLimit.remaining = remaining;
+    }
+    if (!isNaN(reset)) {
+        rateLimit.reset = Date.now() + reset * 1000;
+    }
+};
+
+const delayBeforeNextRequest = () => {
+    const now = Date.now();
+    let delay = Math.max(0, rateLimit.lastRequest + config.reddit.minRequestInterval - now);
+    if (rateLimit.remaining !== null && rateLimit.remaining < 1 && rateLimit.reset > now) {
+        logger.warn('Reddit rate limit reached', { wait: Math.ceil((rateLimit.reset - now) / 1000) });
+        metrics.redditRateLimited.inc();
+        delay = Math.max(delay, rateLimit.reset - now);
+    }
+
+    return delay;
+};
+
+const requestQueue = async.queue((task, callback) => {
+    setTimeout(() => {
+        rateLimit.lastRequest = Date.now();
+        const endTimer = metrics.redditRequestDuration.startTimer();
+        tokenManager.authorizedRequest(task.options, (err, res, body) => {
+            endTimer({ endpoint: task.endpoint, status: res ? res.statusCode : 'error' });
+            if (res && res.headers) {
+                updateRateLimit(res.headers);
+            }
+            if (res && res.statusCode === 429) {
+                metrics.redditRateLimited.inc();
+            }
+
+            task.callback(err, res, body);
+            callback();
+        });
+    }, delayBeforeNextRequest());
+}, 1);
+
+const parseResponse = (res, body) => {
+    let response = null;
+    try {
+        response = (typeof body === 'string' && body.length > 0) ? JSON.parse(body) : body;
+    } catch (e) {
+        if (res.statusCode < 400) {
+            throw e;
+        }
+    }
+
+    if (res.statusCode >= 400) {
+        const code = (response && (response.reason || response.error)) || `HTTP_${res.statusCode}`;
+        throw new RedditApiError(String(code), response && (response.explanation || response.message), res.statusCode);
+    }
+
+    if (response && response.json) {
+        const errors = response.json.errors || [];
+        if (errors.length > 0) {
+            // each error is [code, message, field]
+            throw new RedditApiError(errors[0][0], errors[0][1], res.statusCode);
+        }
+        if (response.json.ratelimit > 0) {
+            throw new RedditApiError('RATELIMIT', `try again in ${response.json.ratelimit} seconds`, res.statusCode);
+        }
+    }
+
+    return response;
+};
+
+// The path without its query, user name or thing id, so that metrics have one series per endpoint
+const endpointOf = (method, path) => {
+    return `${method} ${path.split('?')[0].replace(/^\/user\/[^/]+/, '/user/:name').replace(/\/gild\/[^/]+$/, '/gild/:id')}`;
+};
+
+// Send a request to the reddit API and return the parsed JSON response
+const apiRequest = (method, path, form, callback) => {
+    const options = { method, url: `${config.reddit.apiUrl}${path}` };
+    const endpoint = endpointOf(method, path);
+    if (form) {
+        options.form = form;
+    }
+
+    let attempt = 0;
+    const send = () => {
+        attempt++;
+        requestQueue.push({ options, endpoint, callback: (err, res, body) => {
+            // a POST that failed in transit or on the server may still have taken effect, sending it again
+            // could gild or reply twice. Reddit refuses a rate limited request before acting on it.
+            const retriable = method === 'GET' ? (err || res.statusCode >= 500 || res.statusCode === 429) : (!err && res.statusCode === 429);
+            if (retriable && attempt <= config.reddit.maxRetries) {
+                const delay = config.reddit.retryDelay * Math.pow(2, attempt - 1);
+                logger.warn('Reddit request failed, retrying', { method, path, statusCode: res ? res.statusCode : null, err, delay });
+                return setTimeout(send, delay);
+            }
+
+            if (err) {
+                return callback(err, null);
+            }
+
+            let response;
+            try {
+                response = parseResponse(res, body);
+            } catch (e) {
+                return callback(e, null);
+            }
+
+            return callback(null, response);
+        } });
+    };
+
+    send();
+};
+
+const retrieveUnreadMessages = (callback) => {
+    apiRequest('GET', '/message/unread?limit=100', null, (err, response) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (!response || !response.data || !response.data.children) {
+            return callback(new Error('Could not retrieve unread messages.'), null);
+        }
+
+        logger.debug('Unread messages retrieved', { count: response.data.children.length });
+
+        return callback(null, response.data.children);
+    });
+};
+
+const markMessageRead = (messageFullId, callback) => {
+    apiRequest('POST', '/api/read_message', { id: messageFullId }, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const gildThing = (thingFullId, callback) => {
+    apiRequest('POST', `/api/v1/gold/gild/${thingFullId}`, null, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const getThingAuthor = (thingFullId, callback) => {
+    apiRequest('GET', util.format('/api/info?id=%s', thingFullId), null, (err, response) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (!response || !response.data || !response.data.children) {
+            return callback(new Error('Could not retrieve the message author info.'), null);
+        }
+
+        return callback(null, (response.data.children.length > 0) ? response.data.children[0].data.author : null);
+    });
+};
+
+// The name of a reddit user as reddit spells it, or null if there is no such (active) user
+const getUsername = (username, callback) => {
+    apiRequest('GET', `/user/${encodeURIComponent(username)}/about`, null, (err, response) => {
+        if (err) {
+            if (err.statusCode === 404) {
+                return callback(null, null);
+            }
+            return callback(err, null);
+        }
+
+        if (!response || !response.data || response.data.is_suspended) {
+            return callback(null, null);
+        }
+
+        return callback(null, response.data.name);
+    });
+};
+
+const sendPM = (recipient, subject, messageText, callback) => {
+    apiRequest('POST', '/api/compose', { api_type: 'json', text: messageText, subject, to: recipient }, (err) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const replyToThing = (thingFullId, messageText, callback) => {
+    apiRequest('POST', '/api/comment', { api_type: 'json', text: messageText, thing_id: thingFullId }, (err, response) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (!response || !response.json) {
+            return callback(new Error('Invalid response.'), null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+module.exports = {
+    RedditApiError,
+    getThingAuthor,
+    getUsername,
+    gildThing,
+    markMessageRead,
+    replyToThing,
+    retrieveUnreadMessages,
+    sendPM
+};
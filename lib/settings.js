@@ -0,0 +1,45 @@
+// Runtime switches shared by the bot, the deposit processor and the operator tools, stored in the Settings table
+const Setting = {
+    // set to a reason when withdrawals must not be broadcast
+    WithdrawalsPaused: 'withdrawals.paused',
+    // set to a reason when tips and gilds must be refused
+    TippingPaused: 'tipping.paused',
+    // when the bot and the deposit processor last finished a run without an error, as an ISO 8601 time
+    BotLastRun: 'bot.lastrun',
+    DepositsLastRun: 'deposits.lastrun',
+    // hash of the block deposits were last read up to
+    LastDepositBlock: 'deposits.lastblock',
+    // followed by .<channel id>, the id of the last Discord message handled in the channel
+    DiscordChannelCursor: 'discord.lastmessage'
+};
+
+// Calls back with the value of the setting, or null if it is not set
+const get = (db, name, callback) => {
+    db.query('SELECT Value FROM Settings WHERE Name = ?', [name], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, res.length > 0 ? res[0].Value : null);
+    });
+};
+
+const set = (db, name, value, callback) => {
+    db.query('INSERT INTO Settings (Name, Value, Updated) VALUES (?, ?, UTC_TIMESTAMP()) ON DUPLICATE KEY UPDATE Value = ?, Updated = UTC_TIMESTAMP()',
+             [name, value, value], (err) => {
+        callback(err);
+    });
+};
+
+const remove = (db, name, callback) => {
+    db.query('DELETE FROM Settings WHERE Name = ?', [name], (err) => {
+        callback(err);
+    });
+};
+
+module.exports = {
+    Setting,
+    get,
+    remove,
+    set
+};
@@ -0,0 +1,66 @@
+// Figures about the bot as a whole, for the admin stats command and the HTTP API
+const async = require('async');
+const config = require('../config/config');
+const DepositStatus = require('./deposits').DepositStatus;
+const GildStatus = require('./gilds').GildStatus;
+const settings = require('./settings');
+const WithdrawalStatus = require('./withdrawals').WithdrawalStatus;
+
+/**
+ * Calls back with { users, frozenUsers, balances, tips, tipAmount, pendingDeposits, pendingWithdrawals, heldWithdrawals,
+ * unsentWithdrawalAmount, pendingGilds, queuedMessages, withdrawalsPaused, tippingPaused }. Tips are the ones sent in the last day,
+ * unsentWithdrawalAmount is what pending and held withdrawals still owe users, the paused settings are the reason
+ * given or null.
+ */
+const collect = (db, callback) => {
+    async.series({
+        totals: (cb) => {
+            db.query(['SELECT (SELECT COUNT(*) FROM Users) AS Users, ',
+                      '(SELECT COUNT(*) FROM Users WHERE Frozen IS NOT NULL) AS FrozenUsers, ',
+                      '(SELECT COALESCE(SUM(Balance), 0) FROM Users) AS Balances, ',
+                      '(SELECT COUNT(*) FROM Tips WHERE MessageId IS NOT NULL AND (GildStatus IS NULL OR GildStatus <> ?) AND Created > DATE_SUB(UTC_TIMESTAMP(), INTERVAL 1 DAY)) AS Tips, ',
+                      '(SELECT COALESCE(SUM(Amount), 0) FROM Tips WHERE MessageId IS NOT NULL AND (GildStatus IS NULL OR GildStatus <> ?) AND Created > DATE_SUB(UTC_TIMESTAMP(), INTERVAL 1 DAY)) AS TipAmount, ',
+                      '(SELECT COUNT(*) FROM Deposits WHERE Status = ?) AS PendingDeposits, ',
+                      '(SELECT COUNT(*) FROM Withdrawals WHERE Status IN (?, ?)) AS PendingWithdrawals, ',
+                      '(SELECT COUNT(*) FROM Withdrawals WHERE Status = ?) AS HeldWithdrawals, ',
+                      '(SELECT COALESCE(SUM(Amount), 0) FROM Withdrawals WHERE Status IN (?, ?, ?)) AS UnsentWithdrawalAmount, ',
+                      '(SELECT COUNT(*) FROM Tips WHERE GildStatus = ?) AS PendingGilds, ',
+                      '(SELECT COUNT(*) FROM PendingMessageQueue WHERE Sent IS NULL AND Attempts < ?) AS QueuedMessages'].join(''),
+                     [GildStatus.Failed, GildStatus.Failed, DepositStatus.Pending, WithdrawalStatus.Requested, WithdrawalStatus.Broadcasting, WithdrawalStatus.Held,
+                      WithdrawalStatus.Requested, WithdrawalStatus.Broadcasting, WithdrawalStatus.Held, GildStatus.Pending, config.messageQueue.maxAttempts], (err, res) => {
+                cb(err, res ? res[0] : null);
+            });
+        },
+        withdrawalsPaused: (cb) => {
+            settings.get(db, settings.Setting.WithdrawalsPaused, cb);
+        },
+        tippingPaused: (cb) => {
+            settings.get(db, settings.Setting.TippingPaused, cb);
+        }
+    }, (err, result) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        const totals = result.totals;
+        return callback(null, {
+            users: totals.Users,
+            frozenUsers: totals.FrozenUsers,
+            balances: totals.Balances,
+            tips: totals.Tips,
+            tipAmount: totals.TipAmount,
+            pendingDeposits: totals.PendingDeposits,
+            pendingWithdrawals: totals.PendingWithdrawals,
+            heldWithdrawals: totals.HeldWithdrawals,
+            unsentWithdrawalAmount: totals.UnsentWithdrawalAmount,
+            pendingGilds: totals.PendingGilds,
+            queuedMessages: totals.QueuedMessages,
+            withdrawalsPaused: result.withdrawalsPaused,
+            tippingPaused: result.tippingPaused
+        });
+    });
+};
+
+module.exports = {
+    collect
+};
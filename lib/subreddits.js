@@ -0,0 +1,21 @@
+// Per-subreddit tip settings from config.subreddits, falling back to config.subredditDefaults
+const config = require('../config/config');
+const platforms = require('./platforms');
+
+// The settings for where a message was posted. Messages that are not in a subreddit (private messages and
+// other platforms) get the defaults, but are never disabled or answered by PM because of them.
+const settingsFor = (message) => {
+    const defaults = config.subredditDefaults;
+    if (message.platform !== platforms.Platform.Reddit || !message.channel) {
+        return Object.assign({}, defaults, { enabled: true, replyByPM: false });
+    }
+
+    // subreddit names are case insensitive
+    const channel = String(message.channel).toLowerCase();
+    const name = Object.keys(config.subreddits).filter((subreddit) => subreddit.toLowerCase() === channel)[0];
+    return Object.assign({}, defaults, name ? config.subreddits[name] : {});
+};
+
+module.exports = {
+    settingsFor
+};
@@ -0,0 +1,64 @@
+// Message templates, loaded once from the templates directory
+const fs = require('fs');
+const path = require('path');
+
+const messageTemplates = {};
+const templateNames = [
+    'onbalance',
+    'ondeposit',
+    'ondeposit.completed',
+    'ondeposit.dropped',
+    'ondeposit.pending',
+    'ondeposit.reversed',
+    'ondiscord.skipped',
+    'onfrozen',
+    'ongild',
+    'ongild.failed',
+    'ongild.insufficientfunds',
+    'onhistory',
+    'onreconciliation.alert',
+    'onsend',
+    'onsend.invaliduser',
+    'onsend.received',
+    'onsendtip',
+    'onsendtip.abovemaximum',
+    'onsendtip.belowminimum',
+    'onsendtip.insufficientfunds',
+    'onsendtip.expired',
+    'onsendtip.invalidamount',
+    'onsendtip.returned',
+    'onsendtip.unclaimed',
+    'ontipping.paused',
+    'onwithdraw',
+    'onwithdraw.amountltefee',
+    'onwithdraw.dailylimitexceeded',
+    'onwithdraw.failed',
+    'onwithdraw.held',
+    'onwithdraw.insufficientfunds',
+    'onwithdraw.invalidaddress',
+    'onwithdraw.invalidamount',
+    'onwithdraw.limitexceeded'
+];
+for (let i = 0; i < templateNames.length; i++) {
+    const name = templateNames[i];
+    messageTemplates[name] = fs.readFileSync(path.join(__dirname, '..', 'templates', `${name}.txt`), { encoding: 'utf8' });
+}
+
+const exists = (template) => messageTemplates.hasOwnProperty(template);
+
+const render = (template, substitutions) => {
+    let messageText = messageTemplates[template];
+    for (let variable in substitutions) {
+        if (substitutions.hasOwnProperty(variable)) {
+            const re = new RegExp(['{', variable, '}'].join(''), 'ig');
+            messageText = messageText.replace(re, substitutions[variable]);
+        }
+    }
+
+    return messageText;
+};
+
+module.exports = {
+    exists,
+    render
+};
@@ -0,0 +1,142 @@
+// Reddit OAuth token manager. The access token, refresh token and expiry are stored together
+// in config.accessTokenPath so a restart does not reuse an expired token.
+const config = require('../config/config');
+const fs = require('fs');
+const logger = require('./logger');
+const request = require('request');
+
+let currentToken;
+let pendingCallbacks = null;
+
+const loadToken = () => {
+    if (!fs.existsSync(config.accessTokenPath)) {
+        return null;
+    }
+
+    try {
+        const token = JSON.parse(fs.readFileSync(config.accessTokenPath, { encoding: 'utf8' }));
+        return (token && token.accessToken) ? token : null;
+    } catch (e) {
+        // unreadable or a token file from an older version, request a new token
+        return null;
+    }
+};
+
+const saveToken = (token) => {
+    fs.writeFileSync(config.accessTokenPath, JSON.stringify(token));
+};
+
+const requestToken = (form, callback) => {
+    request.post(config.reddit.tokenUrl, { form, auth: { user: config.clientId, pass: config.clientSecret }, headers: { 'User-Agent': config.userAgent } }, (err, res, body) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        let response;
+        try {
+            response = JSON.parse(body);
+        } catch (e) {
+            return callback(e, null);
+        }
+
+        if (response.error || !response.access_token || response.access_token.trim().length === 0) {
+            return callback(new Error(`Could not obtain an access token: ${response.error || 'no token returned'}.`), null);
+        }
+
+        return callback(null, {
+            accessToken: response.access_token,
+            // reddit does not always return a new refresh token when refreshing
+            refreshToken: response.refresh_token || form.refresh_token || null,
+            expires: Date.now() + (parseInt(response.expires_in, 10) || 3600) * 1000
+        });
+    });
+};
+
+const renewToken = (callback) => {
+    const passwordGrant = () => {
+        requestToken({ grant_type: 'password', username: config.username, password: config.password }, callback);
+    };
+
+    if (currentToken && currentToken.refreshToken) {
+        return requestToken({ grant_type: 'refresh_token', refresh_token: currentToken.refreshToken }, (err, token) => {
+            if (err) {
+                logger.warn('Token refresh failed, falling back to the password grant', { err });
+                return passwordGrant();
+            }
+
+            return callback(null, token);
+        });
+    }
+
+    return passwordGrant();
+};
+
+const isExpiring = (token) => {
+    return !token || token.expires - Date.now() <= config.accessTokenRefreshMargin * 1000;
+};
+
+// Get a valid access token, refreshing it ahead of expiry. Concurrent callers share a single renewal.
+const getAccessToken = (callback) => {
+    if (currentToken === undefined) {
+        currentToken = loadToken();
+    }
+
+    if (!isExpiring(currentToken)) {
+        return callback(null, currentToken.accessToken);
+    }
+
+    if (pendingCallbacks) {
+        return pendingCallbacks.push(callback);
+    }
+
+    pendingCallbacks = [callback];
+    return renewToken((err, token) => {
+        if (!err) {
+            currentToken = token;
+            saveToken(token);
+        }
+
+        const callbacks = pendingCallbacks;
+        pendingCallbacks = null;
+        callbacks.forEach((cb) => {
+            cb(err, err ? null : token.accessToken);
+        });
+    });
+};
+
+// Force the next getAccessToken call to renew the token, e.g. after reddit rejected it
+const invalidate = () => {
+    if (currentToken) {
+        currentToken.expires = 0;
+    }
+};
+
+// request wrapper for reddit API calls which adds the auth headers and retries once with a renewed
+// token if reddit responds with 401 Unauthorized
+const authorizedRequest = (options, callback) => {
+    const send = (retry) => {
+        getAccessToken((err, accessToken) => {
+            if (err) {
+                return callback(err, null, null);
+            }
+
+            const headers = Object.assign({}, options.headers, { 'User-Agent': config.userAgent, 'Authorization': 'Bearer ' + accessToken });
+            return request(Object.assign({}, options, { headers }), (rerr, res, body) => {
+                if (!rerr && res.statusCode === 401 && retry) {
+                    invalidate();
+                    return send(false);
+                }
+
+                return callback(rerr, res, body);
+            });
+        });
+    };
+
+    send(true);
+};
+
+module.exports = {
+    authorizedRequest,
+    getAccessToken,
+    invalidate
+};
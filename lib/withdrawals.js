@@ -0,0 +1,139 @@
+// Withdrawal states shared by the chat handler and the withdrawal worker in deposits.js
+//
+// Held -> Requested -> Broadcasting -> Broadcast -> Confirmed
+//  |                        |
+//  +------------------------+-> Failed (refunded)
+const async = require('async');
+const config = require('../config/config');
+const ledger = require('./ledger');
+const messageQueue = require('./messagequeue');
+const templates = require('./templates');
+
+const WithdrawalStatus = {
+    Requested: 0,
+    Broadcasting: 1,
+    Broadcast: 2,
+    Confirmed: 3,
+    Failed: 4,
+    Held: 5
+};
+
+/**
+ * Total a user has withdrawn or is withdrawing in the last 24 hours
+ */
+const withdrawnInLastDay = (db, userId, callback) => {
+    db.query('SELECT COALESCE(SUM(Amount), 0) AS Total FROM Withdrawals WHERE UserId = ? AND Status <> ? AND Created > DATE_SUB(UTC_TIMESTAMP(), INTERVAL 1 DAY)',
+             [userId, WithdrawalStatus.Failed], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, parseFloat(res[0].Total));
+    });
+};
+
+/**
+ * Total broadcast from the hot wallet in the last 24 hours
+ */
+const sentInLastDay = (db, callback) => {
+    db.query('SELECT COALESCE(SUM(Amount), 0) AS Total FROM Withdrawals WHERE Status IN (?, ?, ?) AND Sent > DATE_SUB(UTC_TIMESTAMP(), INTERVAL 1 DAY)',
+             [WithdrawalStatus.Broadcasting, WithdrawalStatus.Broadcast, WithdrawalStatus.Confirmed], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, parseFloat(res[0].Total));
+    });
+};
+
+/**
+ * Release a held withdrawal to the withdrawal worker. The withdrawals of a frozen user stay held.
+ */
+const approveWithdrawal = (db, withdrawalId, operator, callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query(['UPDATE Withdrawals W JOIN Users U ON U.Id = W.UserId SET W.Status = ?, W.ApprovedBy = ?, W.Approved = UTC_TIMESTAMP(), W.Updated = UTC_TIMESTAMP() ',
+                      'WHERE W.Id = ? AND W.Status = ? AND U.Frozen IS NULL'].join(''),
+                     [WithdrawalStatus.Requested, operator, withdrawalId, WithdrawalStatus.Held], cb);
+        },
+        (res, fields, cb) => {
+            if (res.affectedRows > 0) {
+                return cb(null, null, null);
+            }
+
+            return db.query('SELECT W.Status, U.Frozen FROM Withdrawals W JOIN Users U ON U.Id = W.UserId WHERE W.Id = ?', [withdrawalId], cb);
+        },
+        (res, fields, cb) => {
+            if (res && (res.length === 0 || res[0].Status !== WithdrawalStatus.Held)) {
+                return cb(new Error(`Withdrawal ${withdrawalId} is not held for approval.`));
+            }
+            if (res) {
+                return cb(new Error(`Withdrawal ${withdrawalId} cannot be approved while its user is frozen.`));
+            }
+
+            return cb(null);
+        }
+    ], (err) => {
+        callback(err, err ? null : true);
+    });
+};
+
+/**
+ * Mark a withdrawal that was never broadcast as failed, return the amount to the user's balance
+ * and PM the user. actor is who decided to refund it, for BalanceAudit. Must be called inside a
+ * transaction on db.
+ */
+const refundWithdrawal = (db, withdrawalId, actor, reason, callback) => {
+    const data = {};
+    async.waterfall([
+        (cb) => {
+            db.query(['SELECT W.UserId, W.Amount, W.Address, W.CorrelationId, U.Platform, U.Username FROM Withdrawals W JOIN Users U ON U.Id = W.UserId ',
+                      'WHERE W.Id = ? AND W.Status IN (?, ?, ?) FOR UPDATE'].join(''),
+                     [withdrawalId, WithdrawalStatus.Held, WithdrawalStatus.Requested, WithdrawalStatus.Broadcasting], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length === 0) {
+                return cb(new Error(`Withdrawal ${withdrawalId} cannot be refunded.`), null);
+            }
+
+            data.withdrawal = res[0];
+            return db.query('UPDATE Withdrawals SET Status = ?, Error = ?, Updated = UTC_TIMESTAMP() WHERE Id = ?',
+                            [WithdrawalStatus.Failed, String(reason).substring(0, 255), withdrawalId], cb);
+        },
+        (res, fields, cb) => {
+            ledger.transfer(db, ledger.SystemAccount.Wallet, data.withdrawal.UserId, data.withdrawal.Amount,
+                            { type: ledger.SourceType.Refund, id: withdrawalId, actor, reason, correlationId: data.withdrawal.CorrelationId }, cb);
+        },
+        (transferId, cb) => {
+            const messageText = templates.render('onwithdraw.failed', { how_to_use_url: config.howToUseUrl, amount: data.withdrawal.Amount, address: data.withdrawal.Address });
+            messageQueue.enqueuePM(db, data.withdrawal.Platform, data.withdrawal.Username, 'Withdrawal failed', messageText, cb);
+        }
+    ], callback);
+};
+
+/**
+ * Refuse a held withdrawal and refund it. Must be called inside a transaction on db.
+ */
+const rejectWithdrawal = (db, withdrawalId, operator, reason, callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query('SELECT Id FROM Withdrawals WHERE Id = ? AND Status = ?', [withdrawalId, WithdrawalStatus.Held], cb);
+        },
+        (res, fields, cb) => {
+            if (res.length === 0) {
+                return cb(new Error(`Withdrawal ${withdrawalId} is not held for approval.`), null);
+            }
+
+            return refundWithdrawal(db, withdrawalId, operator, `Rejected by ${operator}: ${reason}`, cb);
+        }
+    ], callback);
+};
+
+module.exports = {
+    WithdrawalStatus,
+    approveWithdrawal,
+    refundWithdrawal,
+    rejectWithdrawal,
+    sentInLastDay,
+    withdrawnInLastDay
+};
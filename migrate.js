@@ -0,0 +1,248 @@
+// Schema migrations
+//   node migrate.js             apply the migrations that have not been applied yet
+//   node migrate.js status      list the migrations and whether they have been applied
+//   node migrate.js baseline    record migration 1 as applied on a database created from sql/ddl.sql
+//
+// Migration 1 is the schema sql/ddl.sql created before there were migrations, and the ones after it change that
+// schema step by step. A database created from sql/ddl.sql already has the tables of migration 1, so run baseline
+// once on it and then migrate as usual.
+//
+// Migrations are the files in the migrations directory named <version>_<name>.sql, applied in version order.
+// Each applied migration is recorded in SchemaVersion with a checksum of its contents, and nothing is applied
+// while an applied migration has been changed since. Add a new migration rather than editing an old one.
+//
+// MariaDB commits DDL statements implicitly, so a migration that fails halfway has to be cleaned up by hand
+// before it can be run again.
+const async = require('async');
+const config = require('./config/config');
+const crypto = require('crypto');
+const fs = require('fs');
+const mysql = require('mysql');
+const path = require('path');
+
+const migrationsPath = path.join(__dirname, 'migrations');
+const migrationFileRegex = /^(\d+)_([\w-]+)\.sql$/;
+
+const db = mysql.createConnection({
+    host: config.mariadb.host,
+    user: config.mariadb.username,
+    password: config.mariadb.password,
+    database: config.mariadb.database,
+    charset: 'utf8mb4',
+    timezone: 'Z',
+    multipleStatements: true
+});
+
+// The migration files as [{ version, name, sql, checksum }] in version order
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(migrationsPath).filter((file) => migrationFileRegex.test(file)).map((file) => {
+        const match = migrationFileRegex.exec(file);
+        const sql = fs.readFileSync(path.join(migrationsPath, file), { encoding: 'utf8' });
+        return {
+            version: parseInt(match[1], 10),
+            name: match[2],
+            sql,
+            checksum: crypto.createHash('sha256').update(sql).digest('hex')
+        };
+    }).sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migrations[i - 1].version === migration.version) {
+            throw new Error(`There is more than one migration with version ${migration.version}.`);
+        }
+    });
+
+    return migrations;
+};
+
+const appliedMigrations = (callback) => {
+    async.waterfall([
+        (cb) => {
+            db.query(['CREATE TABLE IF NOT EXISTS SchemaVersion (',
+                      '`Version` INTEGER UNSIGNED NOT NULL, ',
+                      '`Name` VARCHAR(100) NOT NULL, ',
+                      '`Checksum` CHAR(64) CHARACTER SET latin1 COLLATE latin1_general_ci NOT NULL, ',
+                      '`Applied` DATETIME NOT NULL, ',
+                      'PRIMARY KEY `PK_SchemaVersion` (`Version`)',
+                      ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci'].join(''), cb);
+        },
+        (res, fields, cb) => {
+            db.query('SELECT Version, Name, Checksum, Applied FROM SchemaVersion ORDER BY Version', cb);
+        },
+        (res, fields, cb) => {
+            cb(null, res.reduce((applied, row) => {
+                applied[row.Version] = row;
+                return applied;
+            }, {}));
+        }
+    ], callback);
+};
+
+// Whether the database has the tables of migration 1 without it being recorded, i.e. was created from sql/ddl.sql
+const hasBaselineTables = (callback) => {
+    db.query("SELECT COUNT(*) AS Count FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN ('Users', 'Messages', 'Tips', 'Deposits', 'Withdrawals')",
+             (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, res[0].Count === 5);
+    });
+};
+
+const recordMigration = (migration, callback) => {
+    db.query('INSERT INTO SchemaVersion (Version, Name, Checksum, Applied) VALUES (?, ?, ?, UTC_TIMESTAMP())',
+             [migration.version, migration.name, migration.checksum], callback);
+};
+
+const applyMigration = (migration, callback) => {
+    console.log(`Applying migration ${migration.version} ${migration.name}.`);
+    async.waterfall([
+        (cb) => {
+            db.query(migration.sql, cb);
+        },
+        (res, fields, cb) => {
+            recordMigration(migration, cb);
+        }
+    ], (err) => {
+        if (err) {
+            return callback(new Error(`Migration ${migration.version} ${migration.name} failed: ${err.message}`), null);
+        }
+
+        return callback(null, true);
+    });
+};
+
+const migrate = (args, callback) => {
+    let migrations;
+    try {
+        migrations = loadMigrations();
+    } catch (e) {
+        return callback(e, null);
+    }
+
+    return async.series({
+        applied: (cb) => {
+            appliedMigrations(cb);
+        },
+        unrecorded: (cb) => {
+            hasBaselineTables(cb);
+        }
+    }, (err, result) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        const applied = result.applied;
+        if (Object.keys(applied).length === 0 && result.unrecorded) {
+            return callback(new Error('The database was created from sql/ddl.sql, run node migrate.js baseline first.'), null);
+        }
+
+        const changed = migrations.filter((migration) => applied[migration.version] && applied[migration.version].Checksum !== migration.checksum);
+        if (changed.length > 0) {
+            return callback(new Error(`Applied migrations have been modified: ${changed.map((migration) => migration.version).join(', ')}`), null);
+        }
+
+        const pending = migrations.filter((migration) => !applied[migration.version]);
+        if (pending.length === 0) {
+            console.log('The database is up to date.');
+            return callback(null, true);
+        }
+
+        return async.eachSeries(pending, applyMigration, (merr) => {
+            if (merr) {
+                return callback(merr, null);
+            }
+
+            console.log(`Applied ${pending.length} migrations.`);
+            return callback(null, true);
+        });
+    });
+};
+
+const status = (args, callback) => {
+    let migrations;
+    try {
+        migrations = loadMigrations();
+    } catch (e) {
+        return callback(e, null);
+    }
+
+    return appliedMigrations((err, applied) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        migrations.forEach((migration) => {
+            const row = applied[migration.version];
+            let state = 'pending';
+            if (row) {
+                state = row.Checksum === migration.checksum ? `applied ${row.Applied.toISOString()}` : 'applied, modified since';
+            }
+            console.log(`${migration.version}\t${migration.name}\t${state}`);
+        });
+
+        return callback(null, true);
+    });
+};
+
+// Record migration 1 as applied without running it, on a database that already has its tables
+const baseline = (args, callback) => {
+    let migrations;
+    try {
+        migrations = loadMigrations();
+    } catch (e) {
+        return callback(e, null);
+    }
+
+    return async.series({
+        applied: (cb) => {
+            appliedMigrations(cb);
+        },
+        unrecorded: (cb) => {
+            hasBaselineTables(cb);
+        }
+    }, (err, result) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        if (Object.keys(result.applied).length > 0) {
+            return callback(new Error('Migrations have already been applied to the database.'), null);
+        }
+        if (!result.unrecorded) {
+            return callback(new Error('The database does not have the tables of sql/ddl.sql, run node migrate.js to create the schema.'), null);
+        }
+
+        return recordMigration(migrations[0], (rerr) => {
+            if (rerr) {
+                return callback(rerr, null);
+            }
+
+            console.log(`Recorded migration ${migrations[0].version} ${migrations[0].name} as applied, run node migrate.js to apply the others.`);
+            return callback(null, true);
+        });
+    });
+};
+
+const commands = {
+    'up': migrate,
+    'status': status,
+    'baseline': baseline
+};
+
+const args = process.argv.slice(2);
+const command = commands[args[0] || 'up'];
+if (!command) {
+    console.log(`Usage: node migrate.js [${Object.keys(commands).join('|')}]`);
+    process.exit(1);
+}
+
+command(args.slice(1), (err) => {
+    if (err) {
+        console.log(err.message);
+        process.exitCode = 1;
+    }
+
+    db.end();
+});
@@ -25,7 +25,7 @@ CREATE TABLE Messages
     `Created` DATETIME NOT NULL,
     PRIMARY KEY `PK_MessageId` (`Id`),
     FOREIGN KEY `FK_MessageAuthor` (`AuthorId`) REFERENCES `Users` (`Id`),
-    UNIQUE KEY `Idx_MessageFullId` (`RedditFullId`)
+    UNIQUE KEY `Idx_MessageFullId` (`FullId`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
 
 CREATE TABLE Tips
@@ -52,15 +52,6 @@ CREATE TABLE PendingMessageQueue
     PRIMARY KEY `PK_PendingMessageId` (`Id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
 
-CREATE TABLE CompletedDepositConfirmations
-(
-    `DepositId` BIGINT UNSIGNED NOT NULL,
-    `UserId` BIGINT UNSIGNED NOT NULL,
-    PRIMARY KEY `PK_DepositConfirmationId` (`DepositId`),
-    FOREIGN KEY `FK_CompletedDepositConfirmation` (`DepositId`) REFERENCES `Deposits` (`Id`),
-    FOREIGN KEY `FK_CompletedDepositUser` (`UserId`) REFERENCES `Users` (`Id`)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
-
 CREATE TABLE Deposits
 (
     `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
@@ -74,6 +65,15 @@ CREATE TABLE Deposits
     UNIQUE KEY `Idx_UserDepositTx` (`UserId`, `TxHash`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
 
+CREATE TABLE CompletedDepositConfirmations
+(
+    `DepositId` BIGINT UNSIGNED NOT NULL,
+    `UserId` BIGINT UNSIGNED NOT NULL,
+    PRIMARY KEY `PK_DepositConfirmationId` (`DepositId`),
+    FOREIGN KEY `FK_CompletedDepositConfirmation` (`DepositId`) REFERENCES `Deposits` (`Id`),
+    FOREIGN KEY `FK_CompletedDepositUser` (`UserId`) REFERENCES `Users` (`Id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
+
 CREATE TABLE Withdrawals
 (
     `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
@@ -86,9 +86,7 @@ CREATE TABLE Withdrawals
     UNIQUE KEY `Idx_WithdrawalTxHash` (`TxHash`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
 
-
-DELIMITER //
-
+-- credit deposits once they have 3 confirmations
 CREATE TRIGGER `Trg_OnDepositCreated`
     AFTER INSERT ON `Deposits`
 FOR EACH ROW
@@ -108,6 +106,3 @@ BEGIN
         INSERT INTO CompletedDepositConfirmations (DepositId, UserId) VALUES (OLD.Id, OLD.UserId);
     END IF;
 END;
-//
-
-DELIMITER ;
\ No newline at end of file
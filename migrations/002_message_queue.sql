@@ -0,0 +1,19 @@
+-- the bot never wrote to the old queue, so it is replaced rather than converted
+DROP TABLE PendingMessageQueue;
+
+CREATE TABLE PendingMessageQueue
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `Type` SMALLINT NOT NULL COMMENT '1 - Private Message, 2 - Comment Reply',
+    `Recipient` VARCHAR(20) COMMENT 'username for private messages',
+    `ReplyToFullId` VARCHAR(15) CHARACTER SET latin1 COLLATE latin1_general_ci COMMENT 'fullname of the comment or message for replies',
+    `Subject` VARCHAR(100),
+    `MessageText` TEXT NOT NULL,
+    `Attempts` INTEGER UNSIGNED DEFAULT 0 NOT NULL,
+    `LastError` VARCHAR(255),
+    `NextAttempt` DATETIME NOT NULL,
+    `Sent` DATETIME,
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_PendingMessageId` (`Id`),
+    KEY `Idx_PendingMessageNextAttempt` (`Sent`, `NextAttempt`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
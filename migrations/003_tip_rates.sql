@@ -0,0 +1,2 @@
+ALTER TABLE Tips
+    ADD COLUMN `RateUsd` DECIMAL(18,8) UNSIGNED COMMENT 'LBC/USD rate used to price the tip' AFTER `AmountUsd`;
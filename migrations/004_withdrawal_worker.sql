@@ -0,0 +1,17 @@
+-- withdrawals used to be recorded once sent. The address and the message they were requested in are unknown.
+ALTER TABLE Withdrawals
+    ADD COLUMN `MessageId` BIGINT UNSIGNED COMMENT 'message that requested the withdrawal' AFTER `UserId`,
+    ADD COLUMN `Address` VARCHAR(34) CHARACTER SET latin1 COLLATE latin1_general_ci DEFAULT '' NOT NULL,
+    ADD COLUMN `Status` SMALLINT DEFAULT 0 NOT NULL COMMENT '0 - Requested, 1 - Broadcasting, 2 - Broadcast, 3 - Confirmed, 4 - Failed' AFTER `Amount`,
+    MODIFY COLUMN `TxHash` VARCHAR(70) CHARACTER SET latin1 COLLATE latin1_general_ci,
+    ADD COLUMN `Confirmations` INTEGER UNSIGNED DEFAULT 0 NOT NULL,
+    ADD COLUMN `Error` VARCHAR(255),
+    ADD COLUMN `Updated` DATETIME AFTER `Created`,
+    ADD FOREIGN KEY `FK_WithdrawalMessage` (`MessageId`) REFERENCES `Messages` (`Id`),
+    ADD KEY `Idx_WithdrawalStatus` (`Status`);
+
+UPDATE Withdrawals SET Status = 3, Updated = Created;
+
+ALTER TABLE Withdrawals
+    MODIFY COLUMN `Address` VARCHAR(34) CHARACTER SET latin1 COLLATE latin1_general_ci NOT NULL,
+    MODIFY COLUMN `Updated` DATETIME NOT NULL;
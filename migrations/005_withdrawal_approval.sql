@@ -0,0 +1,8 @@
+ALTER TABLE Withdrawals
+    MODIFY COLUMN `Status` SMALLINT DEFAULT 0 NOT NULL COMMENT '0 - Requested, 1 - Broadcasting, 2 - Broadcast, 3 - Confirmed, 4 - Failed, 5 - Held',
+    ADD COLUMN `ApprovedBy` VARCHAR(20) COMMENT 'operator who released a held withdrawal' AFTER `Error`,
+    ADD COLUMN `Approved` DATETIME,
+    ADD COLUMN `Sent` DATETIME;
+
+-- counts towards the daily limits like any withdrawal that has left the wallet
+UPDATE Withdrawals SET Sent = Created WHERE TxHash IS NOT NULL;
@@ -0,0 +1,23 @@
+ALTER TABLE Users
+    ADD COLUMN `LastActive` DATETIME COMMENT 'last time the user sent the bot a message, NULL if never' AFTER `DepositAddress`;
+
+-- users who have messaged the bot have claimed their tips
+UPDATE Users U JOIN (SELECT AuthorId, MAX(Created) AS LastMessage FROM Messages GROUP BY AuthorId) M ON M.AuthorId = U.Id
+    SET U.LastActive = M.LastMessage;
+
+-- the old bot only recorded tips and gilds in Messages, so users who asked for a deposit address, deposited or
+-- withdrew have used it as well
+UPDATE Users U
+    LEFT JOIN (SELECT UserId, MAX(Created) AS LastDeposit FROM Deposits GROUP BY UserId) D ON D.UserId = U.Id
+    LEFT JOIN (SELECT UserId, MAX(Created) AS LastWithdrawal FROM Withdrawals GROUP BY UserId) W ON W.UserId = U.Id
+    SET U.LastActive = GREATEST(COALESCE(D.LastDeposit, U.Created), COALESCE(W.LastWithdrawal, U.Created))
+    WHERE U.LastActive IS NULL AND (U.DepositAddress IS NOT NULL OR D.UserId IS NOT NULL OR W.UserId IS NOT NULL);
+
+ALTER TABLE Tips
+    MODIFY COLUMN `MessageId` BIGINT UNSIGNED COMMENT 'NULL for reversals',
+    ADD COLUMN `Unclaimed` TINYINT(1) DEFAULT 0 NOT NULL COMMENT 'sent to a user who has not used the bot yet' AFTER `IsGild`,
+    ADD COLUMN `ReminderSent` DATETIME,
+    ADD COLUMN `Reversed` DATETIME COMMENT 'returned to the sender',
+    ADD COLUMN `ReversalOfTipId` BIGINT UNSIGNED,
+    ADD COLUMN `Reason` VARCHAR(255),
+    ADD INDEX `Idx_TipUnclaimed` (`Unclaimed`, `Reversed`);
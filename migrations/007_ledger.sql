@@ -0,0 +1,33 @@
+-- balances that are already there get their ledger entries from node admin.js open-ledger
+ALTER TABLE Users
+    MODIFY COLUMN `Balance` DECIMAL(18,8) UNSIGNED DEFAULT 0 NOT NULL COMMENT 'kept in step with LedgerEntries';
+
+CREATE TABLE LedgerTransfers
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `SourceType` VARCHAR(20) NOT NULL COMMENT 'deposit, tip, gild, withdrawal, fee, refund or adjustment',
+    `SourceId` BIGINT UNSIGNED COMMENT 'id of the deposit, tip, withdrawal etc. that caused the transfer',
+    `Amount` DECIMAL(18,8) UNSIGNED NOT NULL,
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_LedgerTransferId` (`Id`),
+    KEY `Idx_LedgerTransferSource` (`SourceType`, `SourceId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
+
+CREATE TABLE LedgerEntries
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `TransferId` BIGINT UNSIGNED NOT NULL,
+    `UserId` BIGINT UNSIGNED COMMENT 'NULL for system accounts',
+    `Account` VARCHAR(20) COMMENT 'system account: wallet, fees or adjustments',
+    `Debit` DECIMAL(18,8) UNSIGNED DEFAULT 0 NOT NULL,
+    `Credit` DECIMAL(18,8) UNSIGNED DEFAULT 0 NOT NULL,
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_LedgerEntryId` (`Id`),
+    FOREIGN KEY `FK_LedgerEntryTransfer` (`TransferId`) REFERENCES `LedgerTransfers` (`Id`),
+    FOREIGN KEY `FK_LedgerEntryUser` (`UserId`) REFERENCES `Users` (`Id`),
+    KEY `Idx_LedgerEntryAccount` (`Account`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
+
+-- deposits are credited through the ledger by the deposit processor, not by triggers
+DROP TRIGGER IF EXISTS `Trg_OnDepositCreated`;
+DROP TRIGGER IF EXISTS `Trg_OnDepositUpdated`;
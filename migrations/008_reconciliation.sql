@@ -0,0 +1,20 @@
+CREATE TABLE Settings
+(
+    `Name` VARCHAR(50) NOT NULL,
+    `Value` VARCHAR(255) NOT NULL,
+    `Updated` DATETIME NOT NULL,
+    PRIMARY KEY `PK_SettingName` (`Name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+CREATE TABLE ReconciliationSnapshots
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `WalletBalance` DECIMAL(18,8) NOT NULL COMMENT 'getbalance for the lbrycrd account',
+    `UserBalances` DECIMAL(18,8) UNSIGNED NOT NULL,
+    `PendingWithdrawals` DECIMAL(18,8) UNSIGNED NOT NULL COMMENT 'debited from users but not sent yet',
+    `Discrepancy` DECIMAL(18,8) NOT NULL COMMENT 'wallet balance minus liabilities, negative when the wallet is short',
+    `WithdrawalsPaused` TINYINT(1) DEFAULT 0 NOT NULL,
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_ReconciliationSnapshotId` (`Id`),
+    KEY `Idx_ReconciliationCreated` (`Created`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
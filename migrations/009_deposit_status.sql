@@ -0,0 +1,9 @@
+ALTER TABLE Deposits
+    ADD COLUMN `Status` SMALLINT DEFAULT 0 NOT NULL COMMENT '0 - Pending, 1 - Credited, 2 - Conflicted, 3 - Reversed, 4 - Disputed' AFTER `Confirmations`,
+    ADD COLUMN `Error` VARCHAR(255) COMMENT 'why the transaction was dropped',
+    ADD COLUMN `Updated` DATETIME AFTER `Created`,
+    ADD KEY `Idx_DepositStatus` (`Status`);
+
+-- the triggers credited deposits at 3 confirmations. CompletedDepositConfirmations cannot tell which, its rows were
+-- deleted once the user had been told.
+UPDATE Deposits SET Status = 1 WHERE Confirmations >= 3;
@@ -0,0 +1,9 @@
+ALTER TABLE Deposits
+    MODIFY COLUMN `Confirmations` INTEGER UNSIGNED DEFAULT 0 NOT NULL,
+    ADD COLUMN `RequiredConfirmations` INTEGER UNSIGNED DEFAULT 3 NOT NULL COMMENT 'credited once Confirmations reaches this, set from the confirmation policy' AFTER `Confirmations`;
+
+ALTER TABLE Deposits
+    MODIFY COLUMN `RequiredConfirmations` INTEGER UNSIGNED NOT NULL COMMENT 'credited once Confirmations reaches this, set from the confirmation policy';
+
+-- Deposits.Status records which deposits were credited
+DROP TABLE CompletedDepositConfirmations;
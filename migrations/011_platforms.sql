@@ -0,0 +1,20 @@
+ALTER TABLE Users
+    ADD COLUMN `Platform` VARCHAR(20) CHARACTER SET latin1 COLLATE latin1_general_ci DEFAULT 'reddit' NOT NULL AFTER `Id`,
+    MODIFY COLUMN `Username` VARCHAR(32) NOT NULL COMMENT 'the reddit username, or the user id on platforms where names can change',
+    DROP INDEX `Idx_RedditUsername`,
+    ADD UNIQUE KEY `Idx_PlatformUsername` (`Platform`, `Username`);
+
+ALTER TABLE Messages
+    ADD COLUMN `Platform` VARCHAR(20) CHARACTER SET latin1 COLLATE latin1_general_ci DEFAULT 'reddit' NOT NULL AFTER `Type`,
+    MODIFY COLUMN `FullId` VARCHAR(100) CHARACTER SET latin1 COLLATE latin1_general_ci NOT NULL COMMENT 'what the platform adapter replies to',
+    CHANGE COLUMN `RedditId` `PlatformId` VARCHAR(30) CHARACTER SET latin1 COLLATE latin1_general_ci NOT NULL,
+    CHANGE COLUMN `ParentRedditId` `ParentId` VARCHAR(100) CHARACTER SET latin1 COLLATE latin1_general_ci,
+    CHANGE COLUMN `Subreddit` `Channel` VARCHAR(50),
+    CHANGE COLUMN `RedditCreated` `PlatformCreated` DATETIME NOT NULL,
+    DROP INDEX `Idx_MessageFullId`,
+    ADD UNIQUE KEY `Idx_PlatformMessageFullId` (`Platform`, `FullId`);
+
+ALTER TABLE PendingMessageQueue
+    ADD COLUMN `Platform` VARCHAR(20) CHARACTER SET latin1 COLLATE latin1_general_ci DEFAULT 'reddit' NOT NULL AFTER `Type`,
+    MODIFY COLUMN `Recipient` VARCHAR(32) COMMENT 'username for private messages',
+    MODIFY COLUMN `ReplyToFullId` VARCHAR(100) CHARACTER SET latin1 COLLATE latin1_general_ci COMMENT 'FullId of the message replied to';
@@ -0,0 +1,20 @@
+ALTER TABLE Users
+    ADD COLUMN `Frozen` DATETIME COMMENT 'set while an operator has frozen the account, its tips, gilds and withdrawals are refused',
+    ADD COLUMN `FrozenReason` VARCHAR(255);
+
+CREATE TABLE AdminActions
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `MessageId` BIGINT UNSIGNED NOT NULL COMMENT 'message with the command',
+    `Operator` VARCHAR(32) NOT NULL,
+    `Command` VARCHAR(30) NOT NULL,
+    `Arguments` VARCHAR(255),
+    `TargetUserId` BIGINT UNSIGNED COMMENT 'user the command acted on, if any',
+    `Succeeded` TINYINT(1) DEFAULT 0 NOT NULL,
+    `Result` VARCHAR(255) COMMENT 'what the operator was told',
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_AdminActionId` (`Id`),
+    FOREIGN KEY `FK_AdminActionMessage` (`MessageId`) REFERENCES `Messages` (`Id`),
+    FOREIGN KEY `FK_AdminActionTarget` (`TargetUserId`) REFERENCES `Users` (`Id`),
+    KEY `Idx_AdminActionCreated` (`Created`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
@@ -0,0 +1,29 @@
+ALTER TABLE Withdrawals
+    ADD COLUMN `CorrelationId` CHAR(16) CHARACTER SET latin1 COLLATE latin1_general_ci COMMENT 'correlation id of the message that requested the withdrawal, carried into the logs of the withdrawal worker';
+
+CREATE TABLE BalanceAudit
+(
+    `Id` BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `UserId` BIGINT UNSIGNED NOT NULL,
+    `TransferId` BIGINT UNSIGNED COMMENT 'ledger transfer that changed the balance, null when the balance was rebuilt from the ledger',
+    `Action` VARCHAR(20) NOT NULL COMMENT 'ledger source type of the transfer, or rebuild',
+    `Actor` VARCHAR(64) NOT NULL COMMENT 'platform/username of the user or operator who caused the change, or the process that decided it',
+    `Amount` DECIMAL(18,8) NOT NULL COMMENT 'positive when the user was credited, negative when debited',
+    `BalanceBefore` DECIMAL(18,8) NOT NULL,
+    `BalanceAfter` DECIMAL(18,8) NOT NULL,
+    `Reason` VARCHAR(255),
+    `CorrelationId` CHAR(16) CHARACTER SET latin1 COLLATE latin1_general_ci COMMENT 'correlation id in the logs of the message or run that made the change',
+    `Created` DATETIME NOT NULL,
+    PRIMARY KEY `PK_BalanceAuditId` (`Id`),
+    FOREIGN KEY `FK_BalanceAuditUser` (`UserId`) REFERENCES `Users` (`Id`),
+    FOREIGN KEY `FK_BalanceAuditTransfer` (`TransferId`) REFERENCES `LedgerTransfers` (`Id`),
+    KEY `Idx_BalanceAuditUserCreated` (`UserId`, `Created`),
+    KEY `Idx_BalanceAuditCorrelationId` (`CorrelationId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE utf8mb4_unicode_ci ROW_FORMAT=COMPRESSED KEY_BLOCK_SIZE=4;
+
+-- the audit trail is append-only
+CREATE TRIGGER BalanceAuditNoUpdate BEFORE UPDATE ON BalanceAudit FOR EACH ROW
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'BalanceAudit is append-only';
+
+CREATE TRIGGER BalanceAuditNoDelete BEFORE DELETE ON BalanceAudit FOR EACH ROW
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'BalanceAudit is append-only';
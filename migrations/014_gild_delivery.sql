@@ -0,0 +1,4 @@
+ALTER TABLE Tips
+    ADD COLUMN `GildStatus` SMALLINT COMMENT 'gilds only: 0 - Pending, 1 - Delivered, 2 - Failed';
+
+UPDATE Tips SET GildStatus = 1 WHERE IsGild = 1;
@@ -0,0 +1,2 @@
+-- gilds were marked unclaimed like tips, which would have returned their price after the gold was given
+UPDATE Tips SET Unclaimed = 0 WHERE IsGild = 1 AND Unclaimed = 1 AND Reversed IS NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE ReconciliationSnapshots
+    ADD COLUMN `UncreditedDeposits` DECIMAL(18,8) UNSIGNED DEFAULT 0 NOT NULL COMMENT 'in the wallet balance but not credited to users yet' AFTER `WalletBalance`;
@@ -0,0 +1,7 @@
+-- every output of a transaction to a user is a deposit of its own. Deposits stored before have no Vout, a NULL
+-- does not clash in the unique key and the first output read again with their amount takes them over.
+ALTER TABLE Deposits
+    ADD COLUMN `Vout` INTEGER UNSIGNED COMMENT 'index of the output in the transaction, NULL for deposits stored without it' AFTER `TxHash`,
+    DROP KEY `Idx_UserDepositTx`,
+    ADD UNIQUE KEY `Idx_UserDepositOutput` (`UserId`, `TxHash`, `Vout`),
+    ADD KEY `Idx_DepositTx` (`TxHash`);
@@ -0,0 +1,82 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const reddit = harness.reddit;
+
+// lbryoperator is the operator in test/config.js
+describe('admin commands', { skip: harness.skip }, () => {
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => harness.clear(done));
+
+    it('adjusts a balance through the adjustments account and records the command', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('lbryoperator', 'admin adjust u/alice -4 lbc refund of a double deposit');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Operator, Command, Succeeded, TargetUserId FROM AdminActions', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 6);
+            assert.strictEqual(results[3].length, 1);
+            assert.strictEqual(results[3][0].Operator, 'lbryoperator');
+            assert.strictEqual(results[3][0].Command, 'adjust');
+            assert.strictEqual(results[3][0].Succeeded, 1);
+            assert.strictEqual(results[3][0].TargetUserId, results[0]);
+            assert.ok(reddit.state.replies[0].text.indexOf('The balance is now 6.00000000 LBC') > -1);
+            done();
+        });
+    });
+
+    it('refuses tips from a frozen user until they are unfrozen', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('lbryoperator', 'admin freeze u/alice suspected account takeover');
+                app.runOnce(cb);
+            },
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => {
+                reddit.privateMessage('lbryoperator', 'admin unfreeze u/alice');
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 10);
+            assert.strictEqual(results[5], 8);
+            assert.strictEqual(reddit.state.pms.filter((pm) => pm.subject === 'Account frozen').length, 1);
+            done();
+        });
+    });
+
+    it('ignores admin commands from anyone else', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('alice', 'admin adjust u/alice +100 lbc because');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT COUNT(*) AS Count FROM AdminActions', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(results[3][0].Count, 0);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            done();
+        });
+    });
+});
@@ -0,0 +1,37 @@
+// Configuration used by the tests instead of config/config.js. The API URLs are filled in by the harness
+// once the fake servers are listening, the database comes from the TIPBOT_TEST_DB_* environment variables.
+const defaults = require('../config/default');
+const os = require('os');
+const path = require('path');
+
+module.exports = Object.assign({}, defaults, {
+    debug: false,
+    log: { level: 'error' },
+    accessTokenPath: path.join(os.tmpdir(), `tipbot-test-token-${process.pid}`),
+    clientId: 'test-client',
+    clientSecret: 'test-secret',
+    username: 'lbryian',
+    password: 'test-password',
+    userAgent: 'tipbot-tests',
+
+    platforms: ['reddit'],
+    reddit: Object.assign({}, defaults.reddit, { apiUrl: null, tokenUrl: null, minRequestInterval: 0, maxRetries: 0, retryDelay: 0 }),
+    howToUseUrl: 'https://example.com/how-to-use',
+    redditName: 'u/lbryian',
+
+    mariadb: {
+        host: process.env.TIPBOT_TEST_DB_HOST || 'localhost',
+        username: process.env.TIPBOT_TEST_DB_USER || 'root',
+        password: process.env.TIPBOT_TEST_DB_PASSWORD || '',
+        database: process.env.TIPBOT_TEST_DB_NAME,
+        connectionLimit: 4
+    },
+
+    exchangeRate: Object.assign({}, defaults.exchangeRate, { ttl: 0, providers: [] }),
+    messageQueue: Object.assign({}, defaults.messageQueue, { sendDelay: 0 }),
+    operators: ['lbryoperator'],
+    httpApi: Object.assign({}, defaults.httpApi, { port: 0, token: 'test-token' }),
+    lbrycrd: Object.assign({}, defaults.lbrycrd, { rpcurl: null }),
+    discord: Object.assign({}, defaults.discord, { apiUrl: null, token: 'test-discord-token', botUserId: '900000000000000001',
+                                                   channels: ['100000000000000001'], maxRetries: 0, retryDelay: 0 })
+});
@@ -0,0 +1,36 @@
+// The deposit confirmation policy, which needs neither the database nor the fakes
+require('./helpers/setup');
+
+const assert = require('assert');
+const config = require('../config/config');
+const deposits = require('../lib/deposits');
+const { describe, it } = require('node:test');
+
+describe('deposit confirmation policy', () => {
+    it('takes the confirmations of the first tier the amount is below', () => {
+        assert.strictEqual(deposits.requiredConfirmations(1), 1);
+        assert.strictEqual(deposits.requiredConfirmations('9.99999999'), 1);
+        assert.strictEqual(deposits.requiredConfirmations('10'), 3);
+        assert.strictEqual(deposits.requiredConfirmations(999), 3);
+    });
+
+    it('takes the tier without a limit for larger amounts', () => {
+        assert.strictEqual(deposits.requiredConfirmations(1000), 6);
+        assert.strictEqual(deposits.requiredConfirmations('2500000'), 6);
+    });
+
+    it('takes the strictest tier for an amount no tier covers', () => {
+        const policy = config.deposits.confirmationPolicy;
+        config.deposits.confirmationPolicy = [{ below: 10, confirmations: 1 }, { below: 1000, confirmations: 3 }];
+        try {
+            assert.strictEqual(deposits.requiredConfirmations(999), 3);
+            assert.strictEqual(deposits.requiredConfirmations(1000), 3);
+        } finally {
+            config.deposits.confirmationPolicy = policy;
+        }
+    });
+
+    it('credits no deposit with fewer confirmations than the lowest tier', () => {
+        assert.strictEqual(deposits.minimumConfirmations(), 1);
+    });
+});
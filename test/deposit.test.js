@@ -0,0 +1,192 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const config = require('../config/config');
+const deposits = require('../deposits');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const lbrycrd = harness.lbrycrd;
+const reddit = harness.reddit;
+
+// Ask for a deposit address and send amount LBC to it. Calls back with the wallet transaction.
+const deposit = (username, amount, confirmations, callback) => {
+    reddit.privateMessage(username, 'deposit');
+    app.runOnce(() => {
+        const tx = lbrycrd.receive(lbrycrd.state.addresses[lbrycrd.state.addresses.length - 1], amount, confirmations);
+        callback(null, tx);
+    });
+};
+
+describe('deposits', { skip: harness.skip }, () => {
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => harness.clear(done));
+
+    it('replies to the deposit command with a new address', (t, done) => {
+        reddit.privateMessage('alice', 'deposit');
+        app.runOnce(() => {
+            harness.query('SELECT DepositAddress FROM Users WHERE Username = ?', ['alice'], (err, res) => {
+                assert.ifError(err);
+                assert.strictEqual(lbrycrd.state.addresses.length, 1);
+                assert.strictEqual(res[0].DepositAddress, lbrycrd.state.addresses[0]);
+                assert.strictEqual(reddit.state.replies.length, 1);
+                assert.ok(reddit.state.replies[0].text.indexOf(lbrycrd.state.addresses[0]) > -1);
+                done();
+            });
+        });
+    });
+
+    it('credits a deposit once it has the confirmations its amount requires', (t, done) => {
+        let tx;
+        async.series([
+            (cb) => deposit('alice', 5, 0, (err, result) => {
+                tx = result;
+                cb(err);
+            }),
+            (cb) => deposits.runOnce(cb),
+            (cb) => app.runOnce(cb),
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => {
+                lbrycrd.setConfirmations(tx.txid, 1);
+                deposits.runOnce(cb);
+            },
+            (cb) => app.runOnce(cb),
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 0);
+            assert.strictEqual(results[6], 5);
+            assert.deepStrictEqual(reddit.state.pms.map((pm) => pm.subject), ['Deposit detected', 'Deposit completed!']);
+            done();
+        });
+    });
+
+    it('credits each output of a transaction to the user', (t, done) => {
+        let tx;
+        async.series([
+            (cb) => deposit('alice', 5, 1, (err, result) => {
+                tx = result;
+                cb(err);
+            }),
+            (cb) => {
+                lbrycrd.receiveOutput(tx, tx.address, 3);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Vout, Amount, Status FROM Deposits ORDER BY Vout', [], cb),
+            (cb) => {
+                lbrycrd.setConfirmations(tx.txid, -1);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 8);
+            assert.deepStrictEqual(results[3].map((row) => [row.Vout, parseFloat(row.Amount), row.Status]), [[0, 5, 1], [1, 3, 1]]);
+            // dropping the transaction reverses both
+            assert.strictEqual(results[5], 0);
+            done();
+        });
+    });
+
+    it('reverses a credited deposit that is dropped from the chain', (t, done) => {
+        let tx;
+        async.series([
+            (cb) => deposit('alice', 5, 1, (err, result) => {
+                tx = result;
+                cb(err);
+            }),
+            (cb) => deposits.runOnce(cb),
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => {
+                lbrycrd.setConfirmations(tx.txid, -1);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Deposits', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 5);
+            assert.strictEqual(results[4], 0);
+            // Reversed
+            assert.strictEqual(results[5][0].Status, 3);
+            done();
+        });
+    });
+
+    it('keeps a deposit that a reorg removed and the new chain mined again', (t, done) => {
+        let tx;
+        async.series([
+            (cb) => deposit('alice', 5, 1, (err, result) => {
+                tx = result;
+                cb(err);
+            }),
+            (cb) => deposits.runOnce(cb),
+            (cb) => {
+                lbrycrd.reorg(tx.txid, 1);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Deposits', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 5);
+            // Credited
+            assert.strictEqual(results[4][0].Status, 1);
+            done();
+        });
+    });
+
+    it('reverses a deposit that a reorg removed from the wallet', (t, done) => {
+        let tx;
+        async.series([
+            (cb) => deposit('alice', 5, 1, (err, result) => {
+                tx = result;
+                cb(err);
+            }),
+            (cb) => deposits.runOnce(cb),
+            (cb) => {
+                lbrycrd.reorg(tx.txid, null);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Deposits', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 0);
+            // Reversed
+            assert.strictEqual(results[4][0].Status, 3);
+            done();
+        });
+    });
+
+    it('does not count deposits that are not credited yet as wallet funds at reconciliation', (t, done) => {
+        const interval = config.reconciliation.interval;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'bob', 1500, cb),
+            // 1500 LBC needs 6 confirmations, the wallet counts it from the first
+            (cb) => deposit('alice', 1500, 3, cb),
+            (cb) => {
+                lbrycrd.state.balance = 1500;
+                config.reconciliation.interval = 0;
+                deposits.runOnce((err) => {
+                    config.reconciliation.interval = interval;
+                    cb(err);
+                });
+            },
+            (cb) => harness.query('SELECT UncreditedDeposits, Discrepancy, WithdrawalsPaused FROM ReconciliationSnapshots', [], cb),
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3].length, 1);
+            assert.strictEqual(parseFloat(results[3][0].UncreditedDeposits), 1500);
+            // bob's balance is not in the wallet
+            assert.strictEqual(parseFloat(results[3][0].Discrepancy), -1500);
+            assert.strictEqual(results[3][0].WithdrawalsPaused, 1);
+            assert.strictEqual(results[4], 0);
+            done();
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const harness = require('./helpers/harness');
+
+const assert = require('assert');
+const async = require('async');
+const config = require('../config/config');
+const db = require('../lib/db');
+const discordApi = require('../lib/discord');
+const platforms = require('../lib/platforms');
+const settings = require('../lib/settings');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const discord = harness.discord;
+const channelId = config.discord.channels[0];
+const botId = config.discord.botUserId;
+
+const cursor = (callback) => settings.get(db, `${settings.Setting.DiscordChannelCursor}.${channelId}`, callback);
+
+describe('discord channel cursor', { skip: harness.skip }, () => {
+    const adapter = platforms.get(platforms.Platform.Discord);
+
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => {
+        async.series([
+            (cb) => harness.clear(cb),
+            (cb) => {
+                // the first read of a channel passes over its history
+                discord.message(channelId, '200000000000000001', 'before the bot was here');
+                adapter.fetchEvents(cb);
+            }
+        ], done);
+    });
+
+    it('moves past each event once it and the events before it are handled', (t, done) => {
+        const tips = ['1', '2', '3'].map((amount) => discord.message(channelId, '200000000000000001', `<@${botId}> ${amount} lbc`, [botId]));
+        let events;
+        async.series([
+            (cb) => adapter.fetchEvents((err, fetched) => {
+                events = fetched;
+                cb(err);
+            }),
+            (cb) => adapter.markHandled(events[0], cb),
+            (cb) => cursor(cb),
+            (cb) => adapter.markHandled(events[2], cb),
+            (cb) => cursor(cb),
+            (cb) => adapter.markHandled(events[1], cb),
+            (cb) => cursor(cb),
+            (cb) => adapter.fetchEvents(cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(events.map((event) => event.platformId), tips.map((tip) => tip.id));
+            assert.strictEqual(results[2], tips[0].id);
+            assert.strictEqual(results[4], tips[0].id, 'the second event is not handled yet');
+            assert.strictEqual(results[6], tips[2].id);
+            assert.deepStrictEqual(results[7], []);
+            done();
+        });
+    });
+
+    it('fetches a failed event and the events after it again on the next run', (t, done) => {
+        const tips = ['1', '2'].map((amount) => discord.message(channelId, '200000000000000001', `<@${botId}> ${amount} lbc`, [botId]));
+        const passedOver = discord.state.channels[channelId][0].id;
+        let events;
+        async.series([
+            (cb) => adapter.fetchEvents((err, fetched) => {
+                events = fetched;
+                cb(err);
+            }),
+            // the first event failed, the second was handled
+            (cb) => adapter.markHandled(events[1], cb),
+            (cb) => cursor(cb),
+            (cb) => adapter.fetchEvents(cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], passedOver);
+            assert.deepStrictEqual(results[3].map((event) => event.platformId), tips.map((tip) => tip.id));
+            done();
+        });
+    });
+
+    it('skips an event that keeps failing and alerts the operators', (t, done) => {
+        const attempts = config.discord.maxEventAttempts;
+        const tips = ['1', '2'].map((amount) => discord.message(channelId, '200000000000000001', `<@${botId}> ${amount} lbc`, [botId]));
+        // the first event fails on every run, the second is handled
+        const run = (cb) => adapter.fetchEvents((err, events) => {
+            if (err) {
+                return cb(err, null);
+            }
+
+            return async.eachSeries(events.filter((event) => event.platformId !== tips[0].id), adapter.markHandled, (merr) => {
+                cb(merr, events.map((event) => event.platformId));
+            });
+        });
+        config.discord.maxEventAttempts = 2;
+        async.series([
+            (cb) => run(cb),
+            (cb) => run(cb),
+            (cb) => run(cb),
+            (cb) => cursor(cb),
+            (cb) => run(cb),
+            (cb) => harness.query('SELECT Recipient, Subject, MessageText FROM PendingMessageQueue', [], cb)
+        ], (err, results) => {
+            config.discord.maxEventAttempts = attempts;
+            assert.ifError(err);
+            assert.deepStrictEqual(results[1], tips.map((tip) => tip.id));
+            assert.deepStrictEqual(results[2], [tips[1].id], 'skipped after failing twice');
+            assert.strictEqual(results[3], tips[1].id);
+            assert.deepStrictEqual(results[4], []);
+            assert.strictEqual(results[5].length, 1);
+            assert.strictEqual(results[5][0].Recipient, 'lbryoperator');
+            assert.strictEqual(results[5][0].Subject, 'Discord message skipped');
+            assert.ok(results[5][0].MessageText.indexOf(tips[0].id) > -1);
+            done();
+        });
+    });
+});
+
+describe('discord message splitting', () => {
+    it('sends a short message as it is', () => {
+        assert.deepStrictEqual(discordApi.splitMessage('one\ntwo'), ['one\ntwo']);
+    });
+
+    it('splits a long message on line breaks', () => {
+        const line = 'a'.repeat(1500);
+        assert.deepStrictEqual(discordApi.splitMessage(`${line}\n${line}\nb`), [line, `${line}\nb`]);
+    });
+
+    it('cuts a line longer than a message', () => {
+        const parts = discordApi.splitMessage(`start\n${'a'.repeat(4500)}\nend`);
+        assert.deepStrictEqual(parts.map((part) => part.length), [5, 2000, 2000, 504]);
+        assert.strictEqual(parts[3], `${'a'.repeat(500)}\nend`);
+    });
+});
@@ -0,0 +1,81 @@
+// Stand-in for the Discord REST endpoints the bot uses. Tests post messages to channels with message and
+// add users with addUser, then check the messages the bot posted.
+const server = require('./server');
+const url = require('url');
+
+const initialState = () => ({
+    // channel id => messages, oldest first
+    channels: {},
+    // user id => user
+    users: {},
+    // { channelId, content, replyTo }
+    posted: []
+});
+
+const create = () => {
+    const state = initialState();
+
+    const handler = (req, body, respond) => {
+        const parsed = url.parse(req.url, true);
+        const json = body.length > 0 ? JSON.parse(body) : {};
+
+        if (req.headers.authorization !== 'Bot test-discord-token') {
+            return respond(401, { message: '401: Unauthorized', code: 0 });
+        }
+
+        const messages = /^\/channels\/(\d+)\/messages(?:\/(\d+))?$/.exec(parsed.pathname);
+        if (req.method === 'GET' && messages && messages[2]) {
+            const message = (state.channels[messages[1]] || []).filter((m) => m.id === messages[2])[0];
+            return message ? respond(200, message) : respond(404, { message: 'Unknown Message', code: 10008 });
+        }
+
+        if (req.method === 'GET' && messages) {
+            // the oldest messages after the given one, returned newest first as Discord does
+            const after = parsed.query.after ? BigInt(parsed.query.after) : BigInt(0);
+            const newer = (state.channels[messages[1]] || []).filter((m) => BigInt(m.id) > after);
+            return respond(200, newer.slice(0, parseInt(parsed.query.limit, 10) || 50).reverse());
+        }
+
+        if (req.method === 'POST' && messages && !messages[2]) {
+            state.posted.push({ channelId: messages[1], content: json.content, replyTo: json.message_reference ? json.message_reference.message_id : null });
+            return respond(200, { id: nextId(), channel_id: messages[1], content: json.content });
+        }
+
+        if (req.method === 'POST' && parsed.pathname === '/users/@me/channels') {
+            return respond(200, { id: `9${json.recipient_id}`, type: 1 });
+        }
+
+        const user = /^\/users\/(\d+)$/.exec(parsed.pathname);
+        if (req.method === 'GET' && user) {
+            return state.users[user[1]] ? respond(200, state.users[user[1]]) : respond(404, { message: 'Unknown User', code: 10013 });
+        }
+
+        return respond(404, { message: '404: Not Found', code: 0 });
+    };
+
+    // snowflakes only need to be increasing numbers
+    let sequence = 1000;
+    const nextId = () => String(++sequence);
+
+    return {
+        state,
+        start: (callback) => server.start(handler, callback),
+        reset: () => Object.assign(state, initialState()),
+
+        // a message from the user with authorId, mentioning the users with the ids in mentions
+        message: (channelId, authorId, content, mentions) => {
+            const message = { id: nextId(), channel_id: channelId, content, author: { id: authorId, bot: false },
+                              mentions: (mentions || []).map((id) => ({ id })), timestamp: new Date().toISOString() };
+            state.channels[channelId] = (state.channels[channelId] || []).concat([message]);
+            return message;
+        },
+
+        addUser: (id) => {
+            state.users[id] = { id, username: `user${id}`, bot: false };
+        }
+    };
+};
+
+module.exports = {
+    create
+};
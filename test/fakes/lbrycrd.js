@@ -0,0 +1,133 @@
+// Stand-in for the lbrycrd JSON-RPC interface. Deposits are added with receive and receiveOutput, and sendfrom records the
+// withdrawals the bot sends. Set sendError to { code, message } to make the next sendfrom fail, and sendDelay
+// to answer sendfrom that many milliseconds late.
+const bs58check = require('bs58check');
+const crypto = require('crypto');
+const server = require('./server');
+
+// LBRY mainnet pay to pubkey hash prefix
+const addressPrefix = 0x55;
+
+const randomAddress = () => bs58check.encode(Buffer.concat([Buffer.from([addressPrefix]), crypto.randomBytes(20)]));
+const randomTxid = () => crypto.randomBytes(32).toString('hex');
+
+const initialState = () => ({
+    addresses: [],
+    // wallet transactions, as listsinceblock and gettransaction return them
+    transactions: [],
+    // what listsinceblock reports as removed by a reorg
+    removed: [],
+    sent: [],
+    // high enough for the reconciliation not to pause withdrawals
+    balance: 1000000,
+    blocks: 0,
+    fee: 0.0001,
+    sendError: null,
+    sendDelay: 0
+});
+
+const create = () => {
+    const state = initialState();
+
+    // the wallet lists a transaction once for each of its outputs
+    const txOutputs = (txid) => state.transactions.filter((tx) => tx.txid === txid);
+    const findTx = (txid) => txOutputs(txid)[0];
+
+    const methods = {
+        getnewaddress: () => {
+            const address = randomAddress();
+            state.addresses.push(address);
+            return address;
+        },
+        getbalance: () => state.balance,
+        getblockcount: () => state.blocks,
+        gettransaction: (txid) => {
+            const tx = findTx(txid);
+            if (!tx) {
+                throw { code: -5, message: 'Invalid or non-wallet transaction id' };
+            }
+
+            return tx;
+        },
+        listsinceblock: () => ({ transactions: state.transactions, removed: state.removed, lastblock: `block${state.blocks}` }),
+        listtransactions: () => state.transactions,
+        sendfrom: (account, address, amount) => {
+            if (state.sendError) {
+                const error = state.sendError;
+                state.sendError = null;
+                throw error;
+            }
+
+            const txid = randomTxid();
+            state.sent.push({ account, address, amount: parseFloat(amount), txid });
+            state.transactions.push({ account, address, category: 'send', amount: -parseFloat(amount), fee: -state.fee, confirmations: 0, txid });
+            return txid;
+        }
+    };
+
+    const handler = (req, body, respond) => {
+        let call;
+        try {
+            call = JSON.parse(body);
+        } catch (e) {
+            return respond(500, { result: null, error: { code: -32700, message: 'Parse error' }, id: null });
+        }
+
+        if (!methods[call.method]) {
+            return respond(404, { result: null, error: { code: -32601, message: 'Method not found' }, id: call.id || null });
+        }
+
+        const delay = call.method === 'sendfrom' ? state.sendDelay : 0;
+        try {
+            const result = methods[call.method].apply(null, call.params || []);
+            return setTimeout(() => respond(200, { result, error: null, id: call.id || null }), delay);
+        } catch (e) {
+            return setTimeout(() => respond(500, { result: null, error: { code: e.code, message: e.message }, id: call.id || null }), delay);
+        }
+    };
+
+    return {
+        state,
+        randomAddress,
+        start: (callback) => server.start(handler, callback),
+        reset: () => Object.assign(state, initialState()),
+
+        // a deposit to one of the wallet's addresses
+        receive: (address, amount, confirmations) => {
+            const tx = { address, category: 'receive', amount, confirmations, vout: 0, txid: randomTxid() };
+            state.transactions.push(tx);
+            return tx;
+        },
+
+        // another output of a transaction receive returned, to one of the wallet's addresses
+        receiveOutput: (tx, address, amount) => {
+            const output = Object.assign({}, tx, { address, amount, vout: txOutputs(tx.txid).length });
+            state.transactions.push(output);
+            return output;
+        },
+
+        // the confirmations of a transaction, -1 for one that conflicts with the chain
+        setConfirmations: (txid, confirmations) => {
+            txOutputs(txid).forEach((tx) => {
+                tx.confirmations = confirmations;
+            });
+        },
+
+        // a reorg took the transaction out of the chain. It was mined again with confirmations, or is gone from
+        // the wallet when confirmations is null.
+        reorg: (txid, confirmations) => {
+            txOutputs(txid).forEach((tx) => {
+                state.removed.push(Object.assign({}, tx));
+                if (confirmations === null) {
+                    state.transactions.splice(state.transactions.indexOf(tx), 1);
+                } else {
+                    tx.confirmations = confirmations;
+                }
+            });
+        }
+    };
+};
+
+module.exports = {
+    create
+};
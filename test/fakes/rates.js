@@ -0,0 +1,24 @@
+// Stand-in for an LBC/USD exchange rate provider, answering like api.lbry.io
+const server = require('./server');
+
+const initialState = () => ({
+    rate: 0.5
+});
+
+const create = () => {
+    const state = initialState();
+
+    return {
+        state,
+        // the exchangeRate provider entry that reads this server
+        provider: (serverUrl) => ({ name: 'fake', url: `${serverUrl}/lbc/exchange_rate`, path: 'data.lbc_usd' }),
+        reset: () => Object.assign(state, initialState()),
+        start: (callback) => server.start((req, body, respond) => {
+            respond(200, { success: true, data: { lbc_usd: state.rate } });
+        }, callback)
+    };
+};
+
+module.exports = {
+    create
+};
@@ -0,0 +1,125 @@
+// Stand-in for the reddit OAuth and API endpoints the bot uses. Tests put items in the inbox, the comments
+// tips reply to in things and existing users in users, then check what the bot sent.
+const querystring = require('querystring');
+const server = require('./server');
+const url = require('url');
+
+const initialState = () => ({
+    inbox: [],
+    // fullname => { author }
+    things: {},
+    // lower case name => name as reddit spells it
+    users: {},
+    read: [],
+    replies: [],
+    pms: [],
+    gilds: [],
+    // every gild request, including the ones refused
+    gildRequests: 0,
+    // set to { statusCode, reason } to make the gild requests fail
+    gildError: null,
+    // set to a status code to make the inbox requests fail
+    inboxError: null,
+    tokenRequests: 0
+});
+
+const create = () => {
+    const state = initialState();
+
+    const handler = (req, body, respond) => {
+        const parsed = url.parse(req.url, true);
+        const form = querystring.parse(body);
+        const route = `${req.method} ${parsed.pathname}`;
+
+        if (route === 'POST /api/v1/access_token') {
+            state.tokenRequests++;
+            return respond(200, { access_token: 'test-access-token', token_type: 'bearer', expires_in: 3600, refresh_token: 'test-refresh-token' });
+        }
+
+        if (req.headers.authorization !== 'Bearer test-access-token') {
+            return respond(401, { message: 'Unauthorized', error: 401 });
+        }
+
+        if (route === 'GET /message/unread') {
+            if (state.inboxError) {
+                return respond(state.inboxError, { message: 'inbox failed', error: state.inboxError });
+            }
+
+            const unread = state.inbox.filter((item) => state.read.indexOf(item.data.name) === -1);
+            return respond(200, { kind: 'Listing', data: { children: unread } });
+        }
+
+        if (route === 'POST /api/read_message') {
+            String(form.id).split(',').forEach((id) => state.read.push(id));
+            return respond(200, {});
+        }
+
+        if (route === 'POST /api/comment') {
+            state.replies.push({ thingId: form.thing_id, text: form.text });
+            return respond(200, { json: { errors: [], data: { things: [] } } });
+        }
+
+        if (route === 'POST /api/compose') {
+            state.pms.push({ to: form.to, subject: form.subject, text: form.text });
+            return respond(200, { json: { errors: [] } });
+        }
+
+        if (req.method === 'POST' && parsed.pathname.indexOf('/api/v1/gold/gild/') === 0) {
+            state.gildRequests++;
+            if (state.gildError) {
+                return respond(state.gildError.statusCode, { reason: state.gildError.reason, explanation: 'gild failed' });
+            }
+            state.gilds.push(parsed.pathname.substring('/api/v1/gold/gild/'.length));
+            return respond(200, {});
+        }
+
+        if (route === 'GET /api/info') {
+            const thing = state.things[parsed.query.id];
+            return respond(200, { kind: 'Listing', data: { children: thing ? [{ kind: 't1', data: thing }] : [] } });
+        }
+
+        const about = /^\/user\/([^/]+)\/about$/.exec(parsed.pathname);
+        if (req.method === 'GET' && about) {
+            const name = state.users[decodeURIComponent(about[1]).toLowerCase()];
+            return name ? respond(200, { kind: 't2', data: { name } }) : respond(404, { message: 'Not Found', error: 404 });
+        }
+
+        return respond(404, { message: 'Not Found', error: 404 });
+    };
+
+    let sequence = 0;
+    const nextId = () => (++sequence).toString(36);
+
+    return {
+        state,
+        start: (callback) => server.start(handler, callback),
+        reset: () => Object.assign(state, initialState()),
+
+        // a comment replying to parentId, which is recorded as written by parentAuthor
+        comment: (author, body, parentAuthor) => {
+            const id = nextId();
+            const parentId = `t1_p${id}`;
+            state.things[parentId] = { author: parentAuthor };
+            const item = { kind: 't1', data: { id, name: `t1_${id}`, author, body, parent_id: parentId, subreddit: 'lbry',
+                                                 context: `/r/lbry/comments/x/y/${id}/`, created_utc: Math.floor(Date.now() / 1000) } };
+            state.inbox.push(item);
+            return item;
+        },
+
+        privateMessage: (author, body) => {
+            const id = nextId();
+            const item = { kind: 't4', data: { id, name: `t4_${id}`, author, body, parent_id: null, subreddit: null,
+                                                 context: '', created_utc: Math.floor(Date.now() / 1000) } };
+            state.inbox.push(item);
+            return item;
+        },
+
+        addUser: (name) => {
+            state.users[name.toLowerCase()] = name;
+        }
+    };
+};
+
+module.exports = {
+    create
+};
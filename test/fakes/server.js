@@ -0,0 +1,27 @@
+// Minimal HTTP server for the fakes. handler(req, body, respond) gets the request with its body read,
+// respond(statusCode, json) sends a JSON response.
+const http = require('http');
+
+const start = (handler, callback) => {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            handler(req, Buffer.concat(chunks).toString('utf8'), (statusCode, json) => {
+                res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(json));
+            });
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        callback(null, {
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: (cb) => server.close(cb)
+        });
+    });
+};
+
+module.exports = {
+    start
+};
@@ -0,0 +1,110 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const config = require('../config/config');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const reddit = harness.reddit;
+
+describe('gilding', { skip: harness.skip }, () => {
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => harness.clear(done));
+
+    it('gilds the parent comment and pays its author the gild price', (t, done) => {
+        let item;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                // gildPrice of $2.50 at $0.50 per LBC
+                item = reddit.comment('alice', 'gild u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb),
+            (cb) => harness.query('SELECT IsGild, GildStatus, Unclaimed, Amount FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 5);
+            assert.strictEqual(results[3], 5);
+            assert.strictEqual(results[4][0].IsGild, 1);
+            assert.strictEqual(results[4][0].GildStatus, 1);
+            // bob never used the bot, but a gild is not returned to the sender
+            assert.strictEqual(results[4][0].Unclaimed, 0);
+            assert.deepStrictEqual(reddit.state.gilds, [item.data.parent_id]);
+            assert.strictEqual(reddit.state.replies.length, 1);
+            assert.ok(reddit.state.replies[0].text.indexOf('u/bob, u/alice gilded your post for `5.00000000 LBC ($2.50)`') === 0);
+            done();
+        });
+    });
+
+    it('does not gild when the sender cannot pay for it', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 1, cb),
+            (cb) => {
+                reddit.comment('alice', 'u/lbryian gild', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 1);
+            assert.deepStrictEqual(reddit.state.gilds, []);
+            assert.strictEqual(reddit.state.pms.length, 1);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Insufficient funds');
+            done();
+        });
+    });
+
+    it('refunds the sender when reddit refuses the gild', (t, done) => {
+        reddit.state.gildError = { statusCode: 403, reason: 'INSUFFICIENT_CREDITS' };
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', 'gild u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb),
+            (cb) => harness.query('SELECT GildStatus FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(results[3], 0);
+            assert.strictEqual(results[4][0].GildStatus, 2);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            assert.strictEqual(reddit.state.pms.length, 1);
+            assert.strictEqual(reddit.state.pms[0].to, 'alice');
+            assert.strictEqual(reddit.state.pms[0].subject, 'Gild failed');
+            done();
+        });
+    });
+
+    it('does not send a gild again after a server error and leaves it pending', (t, done) => {
+        const maxRetries = config.reddit.maxRetries;
+        config.reddit.maxRetries = 2;
+        reddit.state.gildError = { statusCode: 500, reason: 'INTERNAL_ERROR' };
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', 'gild u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => app.runOnce(cb),
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb),
+            (cb) => harness.query('SELECT GildStatus FROM Tips', [], cb)
+        ], (err, results) => {
+            config.reddit.maxRetries = maxRetries;
+            assert.ifError(err);
+            assert.strictEqual(reddit.state.gildRequests, 1);
+            assert.strictEqual(results[3], 5);
+            assert.strictEqual(results[4], 0);
+            assert.strictEqual(results[5][0].GildStatus, 0);
+            assert.strictEqual(reddit.state.replies.length + reddit.state.pms.length, 0);
+            done();
+        });
+    });
+});
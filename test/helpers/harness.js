@@ -0,0 +1,167 @@
+// Runs the bot against the fake servers and a test database. The database named in TIPBOT_TEST_DB_NAME
+// is dropped and created again from the migrations when a test file starts, and emptied before each test.
+// Without TIPBOT_TEST_DB_NAME the scenario tests are skipped.
+require('./setup');
+
+const async = require('async');
+const childProcess = require('child_process');
+const config = require('../../config/config');
+const fs = require('fs');
+const mysql = require('mysql');
+const path = require('path');
+
+const discordFake = require('../fakes/discord');
+const lbrycrdFake = require('../fakes/lbrycrd');
+const ratesFake = require('../fakes/rates');
+const redditFake = require('../fakes/reddit');
+
+const rootPath = path.join(__dirname, '..', '..');
+
+const reddit = redditFake.create();
+const discord = discordFake.create();
+const lbrycrd = lbrycrdFake.create();
+const rates = ratesFake.create();
+
+const servers = [];
+let adminConnection = null;
+
+const skip = config.mariadb.database ? false : 'set TIPBOT_TEST_DB_NAME to run the scenario tests';
+
+const connect = (database) => mysql.createConnection({
+    host: config.mariadb.host,
+    user: config.mariadb.username,
+    password: config.mariadb.password,
+    database,
+    charset: 'utf8mb4',
+    timezone: 'Z',
+    multipleStatements: true
+});
+
+const resetDatabase = (callback) => {
+    const conn = connect(null);
+    const name = mysql.escapeId(config.mariadb.database);
+    conn.query(`DROP DATABASE IF EXISTS ${name}; CREATE DATABASE ${name} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;`, (err) => {
+        conn.end();
+        if (err) {
+            return callback(err);
+        }
+
+        try {
+            childProcess.execFileSync(process.execPath, ['-r', path.join(__dirname, 'setup.js'), 'migrate.js'], { cwd: rootPath, stdio: 'ignore' });
+        } catch (e) {
+            return callback(new Error(`Could not migrate the test database: ${e.message}`));
+        }
+
+        adminConnection = connect(config.mariadb.database);
+        return callback(null);
+    });
+};
+
+// Start the fake servers, point the bot at them and create the test database
+const start = (callback) => {
+    async.series([
+        (cb) => {
+            async.eachSeries([reddit, discord, lbrycrd, rates], (fake, ecb) => {
+                fake.start((err, server) => {
+                    servers.push(server);
+                    fake.url = server.url;
+                    ecb(err);
+                });
+            }, cb);
+        },
+        (cb) => {
+            config.reddit.apiUrl = reddit.url;
+            config.reddit.tokenUrl = `${reddit.url}/api/v1/access_token`;
+            config.discord.apiUrl = discord.url;
+            config.lbrycrd.rpcurl = lbrycrd.url;
+            config.exchangeRate.providers = [rates.provider(rates.url)];
+            resetDatabase(cb);
+        }
+    ], (err) => {
+        callback(err);
+    });
+};
+
+// Empty every table but SchemaVersion and forget what the fakes have seen
+const clear = (callback) => {
+    [reddit, discord, lbrycrd, rates].forEach((fake) => fake.reset());
+    async.waterfall([
+        (cb) => {
+            adminConnection.query("SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME <> 'SchemaVersion'", [config.mariadb.database], cb);
+        },
+        (res, fields, cb) => {
+            const truncate = res.map((row) => `TRUNCATE TABLE ${mysql.escapeId(row.TABLE_NAME)};`).join(' ');
+            adminConnection.query(`SET FOREIGN_KEY_CHECKS = 0; ${truncate} SET FOREIGN_KEY_CHECKS = 1;`, cb);
+        }
+    ], (err) => {
+        callback(err);
+    });
+};
+
+const stop = (callback) => {
+    async.series([
+        (cb) => {
+            async.eachSeries(servers, (server, ecb) => server.close(() => ecb()), cb);
+        },
+        (cb) => {
+            if (adminConnection) {
+                adminConnection.end();
+            }
+            require('../../lib/db').end(() => cb());
+        }
+    ], () => {
+        if (fs.existsSync(config.accessTokenPath)) {
+            fs.unlinkSync(config.accessTokenPath);
+        }
+        callback();
+    });
+};
+
+const query = (sql, values, callback) => {
+    adminConnection.query(sql, values, (err, res) => {
+        callback(err, res);
+    });
+};
+
+// Create a user with amount LBC credited from the adjustments account. Calls back with the user id.
+const fundUser = (platform, username, amount, callback) => {
+    const db = require('../../lib/db');
+    const ledger = require('../../lib/ledger');
+    db.transaction((conn, tcb) => {
+        async.waterfall([
+            (cb) => {
+                conn.query('INSERT INTO Users (Platform, Username, Created) VALUES (?, ?, UTC_TIMESTAMP())', [platform, username], cb);
+            },
+            (res, fields, cb) => {
+                ledger.transfer(conn, ledger.SystemAccount.Adjustments, res.insertId, amount, { type: ledger.SourceType.Adjustment, id: null }, (err) => {
+                    cb(err, res.insertId);
+                });
+            }
+        ], tcb);
+    }, callback);
+};
+
+// A user's balance as a number, or null if there is no such user
+const balance = (platform, username, callback) => {
+    query('SELECT Balance FROM Users WHERE Platform = ? AND Username = ?', [platform, username], (err, res) => {
+        if (err) {
+            return callback(err, null);
+        }
+
+        return callback(null, res.length > 0 ? parseFloat(res[0].Balance) : null);
+    });
+};
+
+module.exports = {
+    balance,
+    clear,
+    discord,
+    fundUser,
+    lbrycrd,
+    query,
+    rates,
+    reddit,
+    skip,
+    start,
+    stop
+};
@@ -0,0 +1,19 @@
+// Preloaded by the tests (node -r test/helpers/setup.js) so that every require of config/config gets
+// test/config.js instead, whether or not a config/config.js exists.
+const Module = require('module');
+const path = require('path');
+
+const configPath = path.join(__dirname, '..', '..', 'config', 'config');
+const testConfigPath = path.join(__dirname, '..', 'config.js');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, parent) {
+    if (parent && parent.filename && (request.startsWith('.') || path.isAbsolute(request))) {
+        const resolved = path.resolve(path.dirname(parent.filename), request).replace(/\.js$/, '');
+        if (resolved === configPath) {
+            return testConfigPath;
+        }
+    }
+
+    return resolveFilename.apply(this, arguments);
+};
@@ -0,0 +1,141 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const deposits = require('../deposits');
+const httpApi = require('../lib/httpapi');
+const request = require('request');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const reddit = harness.reddit;
+
+describe('HTTP API', { skip: harness.skip }, () => {
+    let server;
+    let apiUrl;
+
+    const api = (method, path, token, callback) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        request({ method, url: `${apiUrl}${path}`, headers, json: true }, (err, res, body) => {
+            callback(err, res ? { statusCode: res.statusCode, body } : null);
+        });
+    };
+
+    before((t, done) => {
+        async.series([
+            (cb) => harness.start(cb),
+            (cb) => httpApi.start((err, listening) => {
+                server = listening;
+                apiUrl = listening ? `http://127.0.0.1:${listening.address().port}` : null;
+                cb(err);
+            })
+        ], done);
+    });
+    after((t, done) => server.close(() => harness.stop(done)));
+    beforeEach((t, done) => harness.clear(done));
+
+    it('is healthy once both loops have run', (t, done) => {
+        async.series([
+            (cb) => api('GET', '/health', null, cb),
+            (cb) => app.runOnce(cb),
+            (cb) => deposits.runOnce(cb),
+            (cb) => api('GET', '/health', null, cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[0].statusCode, 503);
+            assert.strictEqual(results[0].body.database.ok, true);
+            assert.strictEqual(results[0].body.bot.ok, false);
+            assert.strictEqual(results[3].statusCode, 200);
+            assert.strictEqual(results[3].body.status, 'ok');
+            done();
+        });
+    });
+
+    it('is not healthy while the bot cannot fetch any inbox', (t, done) => {
+        reddit.state.inboxError = 500;
+        async.series([
+            (cb) => app.runOnce(cb),
+            (cb) => deposits.runOnce(cb),
+            (cb) => api('GET', '/health', null, cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2].statusCode, 503);
+            assert.strictEqual(results[2].body.bot.ok, false);
+            assert.strictEqual(results[2].body.deposits.ok, true);
+            done();
+        });
+    });
+
+    it('shows stats and a user with their recent tips', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => api('GET', '/stats', null, cb),
+            (cb) => api('GET', '/users/alice', null, cb),
+            (cb) => api('GET', '/users/nobody', null, cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2].body.users, 2);
+            assert.strictEqual(results[2].body.tips, 1);
+            assert.strictEqual(results[3].statusCode, 200);
+            assert.strictEqual(results[3].body.balance, '8.00000000');
+            assert.strictEqual(results[3].body.recent.tips[0].Recipient, 'bob');
+            assert.strictEqual(results[4].statusCode, 404);
+            done();
+        });
+    });
+
+    it('counts tips by outcome and reports liabilities in the metrics', (t, done) => {
+        // the counters belong to the test process, so only what this test adds to them is checked
+        const value = (metrics, series) => {
+            const line = metrics.split('\n').filter((l) => l.indexOf(`${series} `) === 0)[0];
+            return line ? parseFloat(line.substring(series.length + 1)) : 0;
+        };
+        const success = 'tipbot_tips_total{kind="tip",outcome="success"}';
+        const insufficient = 'tipbot_tips_total{kind="tip",outcome="insufficient_funds"}';
+
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => api('GET', '/metrics', null, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                reddit.comment('alice', '20 lbc u/lbryian', 'carol');
+                app.runOnce(cb);
+            },
+            (cb) => api('GET', '/metrics', null, cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3].statusCode, 200);
+            assert.strictEqual(value(results[3].body, success) - value(results[1].body, success), 1);
+            assert.strictEqual(value(results[3].body, insufficient) - value(results[1].body, insufficient), 1);
+            assert.strictEqual(value(results[3].body, 'tipbot_liabilities_lbc'), 10);
+            assert.ok(value(results[3].body, 'tipbot_reddit_request_duration_seconds_count{endpoint="GET /message/unread",status="200"}') > 0);
+            done();
+        });
+    });
+
+    it('pauses tipping only for requests with the token', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => api('POST', '/tipping/pause', null, cb),
+            (cb) => api('POST', '/tipping/pause', 'test-token', cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => api('POST', '/tipping/resume', 'test-token', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[1].statusCode, 401);
+            assert.strictEqual(results[2].statusCode, 200);
+            assert.strictEqual(results[4], 10);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Tipping paused');
+            assert.strictEqual(results[5].statusCode, 200);
+            done();
+        });
+    });
+});
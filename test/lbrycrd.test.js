@@ -0,0 +1,56 @@
+// The lbrycrd RPC client against the lbrycrd fake alone, without the database
+require('./helpers/setup');
+
+const assert = require('assert');
+const config = require('../config/config');
+const lbrycrd = require('../lib/lbrycrd');
+const lbrycrdFake = require('./fakes/lbrycrd');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+describe('lbrycrd rpc', () => {
+    const fake = lbrycrdFake.create();
+    const timeout = config.lbrycrd.timeout;
+    let server;
+
+    before((t, done) => fake.start((err, started) => {
+        server = started;
+        config.lbrycrd.rpcurl = started.url;
+        done(err);
+    }));
+    after((t, done) => {
+        config.lbrycrd.timeout = timeout;
+        server.close(done);
+    });
+    beforeEach(() => fake.reset());
+
+    it('calls back with the result', (t, done) => {
+        fake.state.blocks = 42;
+        lbrycrd.rpc('getblockcount', [], (err, blocks) => {
+            assert.ifError(err);
+            assert.strictEqual(blocks, 42);
+            done();
+        });
+    });
+
+    it('passes on an RPC error with its lbrycrd error code', (t, done) => {
+        lbrycrd.rpc('gettransaction', ['00'], (err) => {
+            assert.ok(err instanceof lbrycrd.LbrycrdRpcError);
+            assert.strictEqual(err.code, -5);
+            assert.strictEqual(err.rpcMethod, 'gettransaction');
+            done();
+        });
+    });
+
+    it('gives up on a call lbrycrd does not answer in time', (t, done) => {
+        config.lbrycrd.timeout = 50;
+        fake.state.sendDelay = 500;
+        lbrycrd.rpc('sendfrom', ['tips', fake.randomAddress(), '1'], (err) => {
+            config.lbrycrd.timeout = timeout;
+            assert.ok(err instanceof lbrycrd.LbrycrdRpcError);
+            assert.strictEqual(err.code, 'TIMEOUT');
+            assert.strictEqual(err.rpcMethod, 'sendfrom');
+            assert.strictEqual(err.connect, false);
+            done();
+        });
+    });
+});
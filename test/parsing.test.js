@@ -0,0 +1,67 @@
+// Tip parsing and LBC arithmetic, which need neither the database nor the fakes
+require('./helpers/setup');
+
+const app = require('../app');
+const assert = require('assert');
+const platforms = require('../lib/platforms');
+const { describe, it } = require('node:test');
+
+describe('tip amount parsing', () => {
+    it('reads LBC and USD amounts', () => {
+        assert.deepStrictEqual(app.parseTipAmount('u/lbryian 2 lbc'), { amountLbc: 2, amountUsd: 0, parsedAmount: '2 lbc', invalid: false });
+        assert.deepStrictEqual(app.parseTipAmount('u/lbryian 1.5 USD'), { amountLbc: 0, amountUsd: 1.5, parsedAmount: '1.5 USD', invalid: false });
+        assert.deepStrictEqual(app.parseTipAmount('u/lbryian $0.25'), { amountLbc: 0, amountUsd: 0.25, parsedAmount: '$0.25', invalid: false });
+    });
+
+    it('uses the first amount in the message', () => {
+        assert.strictEqual(app.parseTipAmount('3 lbc, or $5 if you like').amountLbc, 3);
+    });
+
+    it('returns null without an amount', () => {
+        assert.strictEqual(app.parseTipAmount('thanks u/lbryian'), null);
+        assert.strictEqual(app.parseTipAmount('2 eur u/lbryian'), null);
+    });
+
+    it('marks amounts that cannot be sent as invalid', () => {
+        assert.strictEqual(app.parseTipAmount('0 lbc').invalid, true);
+        assert.strictEqual(app.parseTipAmount('$0').invalid, true);
+        assert.strictEqual(app.parseTipAmount('$.').invalid, true);
+        assert.strictEqual(app.parseTipAmount('. lbc').invalid, true);
+    });
+});
+
+describe('tip recipient parsing', () => {
+    const reddit = platforms.get(platforms.Platform.Reddit);
+
+    it('finds the users mentioned in a tip or split', () => {
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/lbryian tip u/bob /u/carol 2 lbc each', 'alice'), ['bob', 'carol']);
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/lbryian split $5 u/bob u/carol', 'alice'), ['bob', 'carol']);
+    });
+
+    it('leaves out the bot, the sender and users mentioned twice', () => {
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/LBRYian tip u/Alice u/bob u/Bob 1 lbc', 'alice'), ['bob']);
+    });
+
+    it('ignores mentions without the tip or split keyword', () => {
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/lbryian 2 lbc u/bob', 'alice'), []);
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/lbryian tips 2 lbc u/bob', 'alice'), []);
+    });
+
+    it('ignores mentions inside links', () => {
+        assert.deepStrictEqual(app.parseTipRecipients(reddit, 'u/lbryian tip 1 lbc u/bob https://reddit.com/u/carol', 'alice'), ['bob']);
+    });
+});
+
+describe('LBC arithmetic', () => {
+    it('divides a tip in whole satoshis, rounding down', () => {
+        assert.strictEqual(app.divideLbc('3', 2), '1.50000000');
+        assert.strictEqual(app.divideLbc(1, 3), '0.33333333');
+        assert.strictEqual(app.divideLbc('0.3', 3), '0.10000000');
+        assert.strictEqual(app.divideLbc('0.00000002', 3), '0.00000000');
+    });
+
+    it('multiplies without floating point drift', () => {
+        assert.strictEqual(app.multiplyLbc('0.1', 3), '0.30000000');
+        assert.strictEqual(app.multiplyLbc(app.divideLbc(1, 3), 3), '0.99999999');
+    });
+});
@@ -0,0 +1,245 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const config = require('../config/config');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const reddit = harness.reddit;
+
+describe('tips', { skip: harness.skip }, () => {
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => {
+        config.subreddits = {};
+        harness.clear(done);
+    });
+
+    it('sends an LBC tip to the author of the parent comment', (t, done) => {
+        let item;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                item = reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 8);
+            assert.strictEqual(results[3], 2);
+            assert.deepStrictEqual(reddit.state.read, [item.data.name]);
+            assert.strictEqual(reddit.state.replies.length, 1);
+            assert.strictEqual(reddit.state.replies[0].thingId, item.data.name);
+            assert.ok(reddit.state.replies[0].text.indexOf('u/bob, you\'ve received `2 LBC ($1.00)`') === 0);
+            done();
+        });
+    });
+
+    it('audits the balance changes of a tip under the correlation id of its message', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.query(['SELECT U.Username, A.Actor, A.Amount, A.BalanceBefore, A.BalanceAfter, A.Reason, A.CorrelationId FROM BalanceAudit A ',
+                                   "JOIN Users U ON U.Id = A.UserId WHERE A.Action = 'tip' ORDER BY A.Id"].join(''), [], cb),
+            (cb) => harness.query('UPDATE BalanceAudit SET Amount = 0', [], (err) => cb(null, err))
+        ], (err, results) => {
+            assert.ifError(err);
+            const audit = results[2];
+            assert.deepStrictEqual(audit.map((row) => [row.Username, row.Actor, parseFloat(row.Amount), parseFloat(row.BalanceBefore), parseFloat(row.BalanceAfter)]),
+                                   [['alice', 'reddit/alice', -2, 10, 8], ['bob', 'reddit/alice', 2, 0, 2]]);
+            assert.strictEqual(audit[0].Reason, 'Tip from alice to bob');
+            assert.ok(audit[0].CorrelationId);
+            assert.strictEqual(audit[1].CorrelationId, audit[0].CorrelationId);
+            assert.ok(results[3], 'the audit trail is append-only');
+            done();
+        });
+    });
+
+    it('prices a USD tip at the exchange rate', (t, done) => {
+        harness.rates.state.rate = 0.25;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '$1 u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'bob', cb),
+            (cb) => harness.query('SELECT Amount, AmountUsd, RateUsd FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 4);
+            assert.strictEqual(results[3].length, 1);
+            assert.strictEqual(parseFloat(results[3][0].Amount), 4);
+            assert.strictEqual(parseFloat(results[3][0].AmountUsd), 1);
+            assert.strictEqual(parseFloat(results[3][0].RateUsd), 0.25);
+            done();
+        });
+    });
+
+    it('tells the sender when their balance is too low', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 1, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 1);
+            assert.strictEqual(results[3], null);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            assert.strictEqual(reddit.state.pms.length, 1);
+            assert.strictEqual(reddit.state.pms[0].to, 'alice');
+            assert.strictEqual(reddit.state.pms[0].subject, 'Insufficient funds to send tip');
+            done();
+        });
+    });
+
+    it('handles an inbox item only once if it is fetched again', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => {
+                // as if marking it as read had failed
+                reddit.state.read = [];
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT COUNT(*) AS Count FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 8);
+            assert.strictEqual(results[4][0].Count, 1);
+            assert.strictEqual(reddit.state.replies.length, 1);
+            assert.strictEqual(reddit.state.read.length, 1);
+            done();
+        });
+    });
+
+    it('rejects a tip below the minimum of the subreddit', (t, done) => {
+        config.subreddits = { LBRY: { minTip: 5 } };
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Tip below the minimum');
+            done();
+        });
+    });
+
+    it('ignores tips in a disabled subreddit', (t, done) => {
+        config.subreddits = { lbry: { enabled: false } };
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(reddit.state.read.length, 1);
+            assert.strictEqual(reddit.state.replies.length + reddit.state.pms.length, 0);
+            done();
+        });
+    });
+
+    it('answers by PM in a subreddit that does not allow bot comments', (t, done) => {
+        config.subreddits = { lbry: { replyByPM: true, footerUrl: 'https://example.com/lbry-footer' } };
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', '2 lbc u/lbryian', 'bob');
+                app.runOnce(cb);
+            }
+        ], (err) => {
+            assert.ifError(err);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            assert.deepStrictEqual(reddit.state.pms.map((pm) => pm.to).sort(), ['alice', 'bob']);
+            const reply = reddit.state.pms.filter((pm) => pm.to === 'alice')[0];
+            assert.strictEqual(reply.subject, 'Re: your comment in r/lbry');
+            assert.ok(reply.text.indexOf('https://example.com/lbry-footer') > -1);
+            done();
+        });
+    });
+
+    it('splits a tip between the users it mentions', (t, done) => {
+        ['bob', 'carol'].forEach((name) => reddit.addUser(name));
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', 'u/lbryian split 3 lbc u/bob u/carol', 'dave');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.balance('reddit', 'bob', cb),
+            (cb) => harness.balance('reddit', 'carol', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 7);
+            assert.strictEqual(results[3], 1.5);
+            assert.strictEqual(results[4], 1.5);
+            done();
+        });
+    });
+
+    it('rejects a split that leaves each user less than the smallest amount of LBC', (t, done) => {
+        ['bob', 'carol', 'dave'].forEach((name) => reddit.addUser(name));
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.comment('alice', 'u/lbryian split 0.00000002 lbc u/bob u/carol u/dave', 'erin');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT COUNT(*) AS Count FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(results[3][0].Count, 0);
+            assert.strictEqual(reddit.state.replies.length, 0);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Invalid amount for send tip');
+            done();
+        });
+    });
+
+    it('rejects a send worth less than the smallest amount of LBC', (t, done) => {
+        reddit.addUser('bob');
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                // 0.000000002 LBC at $0.50
+                reddit.privateMessage('alice', 'send $0.000000001 u/bob');
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT COUNT(*) AS Count FROM Tips', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 10);
+            assert.strictEqual(results[3][0].Count, 0);
+            assert.strictEqual(reddit.state.pms.length, 1);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Invalid amount for send');
+            done();
+        });
+    });
+});
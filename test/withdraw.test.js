@@ -0,0 +1,182 @@
+const harness = require('./helpers/harness');
+
+const app = require('../app');
+const assert = require('assert');
+const async = require('async');
+const config = require('../config/config');
+const deposits = require('../deposits');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const lbrycrd = harness.lbrycrd;
+const reddit = harness.reddit;
+
+describe('withdrawals', { skip: harness.skip }, () => {
+    before((t, done) => harness.start(done));
+    after((t, done) => harness.stop(done));
+    beforeEach((t, done) => harness.clear(done));
+
+    it('debits the user, sends the withdrawal and replies with the transaction', (t, done) => {
+        const address = lbrycrd.randomAddress();
+        let item;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                item = reddit.privateMessage('alice', `withdraw 4 ${address}`);
+                app.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Withdrawals', [], cb),
+            (cb) => deposits.runOnce(cb),
+            (cb) => app.runOnce(cb),
+            (cb) => harness.query('SELECT Status, TxHash FROM Withdrawals', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[2], 6);
+            // Requested
+            assert.strictEqual(results[3][0].Status, 0);
+            assert.strictEqual(lbrycrd.state.sent.length, 1);
+            assert.strictEqual(lbrycrd.state.sent[0].address, address);
+            assert.strictEqual(lbrycrd.state.sent[0].amount, 4);
+            // Broadcast
+            assert.strictEqual(results[6][0].Status, 2);
+            assert.strictEqual(results[6][0].TxHash, lbrycrd.state.sent[0].txid);
+            assert.strictEqual(reddit.state.replies.length, 1);
+            assert.strictEqual(reddit.state.replies[0].thingId, item.data.name);
+            assert.ok(reddit.state.replies[0].text.indexOf(lbrycrd.state.sent[0].txid) > -1);
+            done();
+        });
+    });
+
+    it('refunds a withdrawal lbrycrd rejects', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('alice', `withdraw 4 ${lbrycrd.randomAddress()}`);
+                app.runOnce(cb);
+            },
+            (cb) => {
+                lbrycrd.state.sendError = { code: -4, message: 'Transaction too large' };
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Withdrawals', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(lbrycrd.state.sent.length, 0);
+            assert.strictEqual(results[3], 10);
+            // Failed
+            assert.strictEqual(results[4][0].Status, 4);
+            done();
+        });
+    });
+
+    it('leaves a withdrawal for an operator when lbrycrd does not answer sendfrom in time', (t, done) => {
+        const timeout = config.lbrycrd.timeout;
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('alice', `withdraw 4 ${lbrycrd.randomAddress()}`);
+                app.runOnce(cb);
+            },
+            (cb) => {
+                config.lbrycrd.timeout = 50;
+                lbrycrd.state.sendDelay = 500;
+                deposits.runOnce((err) => {
+                    config.lbrycrd.timeout = timeout;
+                    cb(err);
+                });
+            },
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Withdrawals', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            // lbrycrd sent it after all, so it must not be refunded
+            assert.strictEqual(lbrycrd.state.sent.length, 1);
+            assert.strictEqual(results[3], 6);
+            // Broadcasting
+            assert.strictEqual(results[4][0].Status, 1);
+            done();
+        });
+    });
+
+    it('confirms the other withdrawals when the transaction of one cannot be read', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => harness.fundUser('reddit', 'bob', 10, cb),
+            (cb) => {
+                reddit.privateMessage('alice', `withdraw 4 ${lbrycrd.randomAddress()}`);
+                reddit.privateMessage('bob', `withdraw 4 ${lbrycrd.randomAddress()}`);
+                app.runOnce(cb);
+            },
+            (cb) => deposits.runOnce(cb),
+            (cb) => {
+                // the wallet no longer knows alice's transaction, bob's has confirmed
+                const lost = lbrycrd.state.transactions.filter((tx) => tx.txid === lbrycrd.state.sent[0].txid)[0];
+                lbrycrd.state.transactions.splice(lbrycrd.state.transactions.indexOf(lost), 1);
+                lbrycrd.setConfirmations(lbrycrd.state.sent[1].txid, 3);
+                deposits.runOnce(cb);
+            },
+            (cb) => harness.query('SELECT W.Status FROM Withdrawals W JOIN Users U ON U.Id = W.UserId ORDER BY U.Username', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(lbrycrd.state.sent.length, 2);
+            // Broadcast, Confirmed
+            assert.deepStrictEqual(results[5].map((row) => row.Status), [2, 3]);
+            done();
+        });
+    });
+
+    it('holds a withdrawal at the approval threshold for an operator', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 2000, cb),
+            (cb) => {
+                reddit.privateMessage('alice', `withdraw 1500 ${lbrycrd.randomAddress()}`);
+                app.runOnce(cb);
+            },
+            (cb) => deposits.runOnce(cb),
+            (cb) => harness.balance('reddit', 'alice', cb),
+            (cb) => harness.query('SELECT Status FROM Withdrawals', [], cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[3], 500);
+            // Held
+            assert.strictEqual(results[4][0].Status, 5);
+            assert.strictEqual(lbrycrd.state.sent.length, 0);
+            assert.strictEqual(reddit.state.pms[0].subject, 'Withdrawal held for review');
+            done();
+        });
+    });
+
+    it('holds the withdrawals of a frozen user and refuses to approve them', (t, done) => {
+        async.series([
+            (cb) => harness.fundUser('reddit', 'alice', 10, cb),
+            (cb) => {
+                reddit.privateMessage('alice', `withdraw 4 ${lbrycrd.randomAddress()}`);
+                app.runOnce(cb);
+            },
+            (cb) => {
+                reddit.privateMessage('lbryoperator', 'admin freeze u/alice suspected account takeover');
+                app.runOnce(cb);
+            },
+            (cb) => deposits.runOnce(cb),
+            (cb) => harness.query('SELECT Id, Status FROM Withdrawals', [], cb),
+            (cb) => {
+                reddit.privateMessage('lbryoperator', 'admin approve-withdrawal 1');
+                app.runOnce(cb);
+            },
+            (cb) => deposits.runOnce(cb),
+            (cb) => harness.query('SELECT Status FROM Withdrawals', [], cb),
+            (cb) => harness.balance('reddit', 'alice', cb)
+        ], (err, results) => {
+            assert.ifError(err);
+            assert.strictEqual(results[4][0].Id, 1);
+            // Held
+            assert.strictEqual(results[4][0].Status, 5);
+            assert.strictEqual(results[7][0].Status, 5);
+            assert.strictEqual(results[8], 6);
+            assert.strictEqual(lbrycrd.state.sent.length, 0);
+            assert.ok(reddit.state.replies.some((reply) => reply.text.indexOf('who is frozen') > -1));
+            done();
+        });
+    });
+});